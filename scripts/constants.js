@@ -1,4 +1,6 @@
 export const MODULE_ID = "weighty-containers";
 export const LBS_PER_KG = 2.20462;
+export const CUBIC_FEET_PER_LITER = 0.0353147;
 export const PREVIEW_BASE_WEIGHT = 10;
+export const DEFAULT_COINS_PER_WEIGHT = { imperial: 50, metric: 110 };
 export const LOG_LEVELS = ["off", "error", "warn", "info", "debug", "trace"];
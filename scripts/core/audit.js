@@ -0,0 +1,95 @@
+import { findCapacityViolations } from "./containers.js";
+import { ItemCollectionView, buildContainerIndex } from "./inventory.js";
+import { isContainer } from "./weight.js";
+
+export const AUDIT_KINDS = ["overflow", "restriction", "dangling", "cycle"];
+
+const itemRef = item => ({ id: item.id, name: item.name ?? item.id });
+const moveToRoot = item => ({ updates: [{ _id: item.id, "system.container": null }] });
+
+function findContainmentCycles(items) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const settled = new Set();
+  const cycles = [];
+  for (const start of items) {
+    const path = [];
+    const positions = new Map();
+    let current = start;
+    while (current && !settled.has(current.id) && !positions.has(current.id)) {
+      positions.set(current.id, path.length);
+      path.push(current);
+      current = byId.get(current.system?.container ?? null);
+    }
+    if (current && positions.has(current.id)) cycles.push(path.slice(positions.get(current.id)));
+    for (const item of path) settled.add(item.id);
+  }
+  return cycles;
+}
+
+export function auditActor(actor, { validate = () => ({ ok: true }), ...options } = {}) {
+  const findings = [];
+  const items = Array.from(actor?.items ?? []);
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  for (const item of items) {
+    const containerId = item.system?.container ?? null;
+    if (!containerId) continue;
+    const container = byId.get(containerId);
+    if (container && isContainer(container)) continue;
+    findings.push({
+      kind: "dangling",
+      item: itemRef(item),
+      containerId,
+      fix: moveToRoot(item)
+    });
+  }
+
+  const cycleIds = new Set();
+  for (const cycle of findContainmentCycles(items)) {
+    for (const item of cycle) cycleIds.add(item.id);
+    findings.push({
+      kind: "cycle",
+      item: itemRef(cycle[0]),
+      items: cycle.map(itemRef),
+      fix: moveToRoot(cycle[0])
+    });
+  }
+
+  const empty = { items: new ItemCollectionView([]) };
+  for (const violation of findCapacityViolations(empty, actor, options)) {
+    if (cycleIds.has(violation.container.id)) continue;
+    const [capacity, load] = {
+      weight: [violation.capacityLbs, violation.afterLbs],
+      volume: [violation.capacityVolume, violation.afterVolume],
+      count: [violation.capacityCount, violation.afterCount],
+      quota: [violation.capacityCount, violation.afterCount]
+    }[violation.type];
+    findings.push({
+      kind: "overflow",
+      container: itemRef(violation.container),
+      measure: violation.type,
+      ...(violation.quota ? { quota: violation.quota } : {}),
+      capacity,
+      load,
+      fix: null
+    });
+  }
+
+  const index = buildContainerIndex(actor);
+  for (const container of items) {
+    if (!isContainer(container) || cycleIds.has(container.id)) continue;
+    for (const child of index.get(container.id) ?? []) {
+      const result = validate(container, child);
+      if (result.ok) continue;
+      findings.push({
+        kind: "restriction",
+        container: itemRef(container),
+        item: itemRef(child),
+        reason: result.reason,
+        fix: null
+      });
+    }
+  }
+
+  return findings;
+}
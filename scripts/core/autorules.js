@@ -0,0 +1,86 @@
+import { MODULE_ID } from "../constants.js";
+import { getItemIdentifier, getItemSourceUuid } from "./restrictions.js";
+import { normalizeToken } from "./tokens.js";
+import { isContainer } from "./weight.js";
+
+export const AUTO_RULE_KINDS = ["identifier", "baseItem", "source"];
+
+export const DEFAULT_AUTO_RULES = [
+  {
+    kind: "identifier",
+    value: "bag-of-holding",
+    flags: { reductionPct: 100, extradimensional: true },
+    capacity: { weight: { value: 500, units: "lb" }, volume: { value: 64, units: "cubicFoot" } }
+  },
+  {
+    kind: "identifier",
+    value: "handy-haversack",
+    flags: { reductionPct: 100, extradimensional: true },
+    capacity: { weight: { value: 120, units: "lb" }, volume: { value: 12, units: "cubicFoot" } }
+  },
+  {
+    kind: "identifier",
+    value: "portable-hole",
+    flags: { reductionPct: 100, extradimensional: true },
+    capacity: { volume: { value: 282.74, units: "cubicFoot" } }
+  },
+  {
+    kind: "identifier",
+    value: "quiver-of-ehlonna",
+    flags: { reductionPct: 100 }
+  },
+  {
+    kind: "identifier",
+    value: "efficient-quiver",
+    flags: { reductionPct: 100 }
+  }
+];
+
+export function normalizeAutoRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .map(rule => ({
+      kind: AUTO_RULE_KINDS.includes(rule?.kind) ? rule.kind : "identifier",
+      value: rule?.kind === "source" ? String(rule?.value ?? "").trim() : normalizeToken(rule?.value),
+      flags: rule?.flags && typeof rule.flags === "object" ? rule.flags : {},
+      capacity: rule?.capacity && typeof rule.capacity === "object" ? rule.capacity : null
+    }))
+    .filter(rule => rule.value);
+}
+
+function getAutoRuleKey(itemData, kind) {
+  if (kind === "baseItem") return normalizeToken(itemData?.system?.type?.baseItem);
+  if (kind === "source") return getItemSourceUuid(itemData);
+  return getItemIdentifier(itemData);
+}
+
+export function findAutoRule(rules, itemData) {
+  if (!isContainer(itemData)) return null;
+  if (Object.keys(itemData?.flags?.[MODULE_ID] ?? {}).length) return null;
+  return normalizeAutoRules(rules).find(rule => getAutoRuleKey(itemData, rule.kind) === rule.value) ?? null;
+}
+
+export function makeAutoRuleChanges(rule) {
+  const changes = { flags: { [MODULE_ID]: { ...rule.flags } } };
+  if (rule.capacity) changes.system = { capacity: rule.capacity };
+  return changes;
+}
+
+export function getAutoRuleTarget(itemData) {
+  const source = getItemSourceUuid(itemData);
+  if (source) return { kind: "source", value: source };
+  const identifier = getItemIdentifier(itemData);
+  return identifier ? { kind: "identifier", value: identifier } : null;
+}
+
+const sameTarget = (rule, target) => rule.kind === target.kind && rule.value === target.value;
+
+export function upsertAutoRule(rules, rule) {
+  const [normalized] = normalizeAutoRules([rule]);
+  if (!normalized) return normalizeAutoRules(rules);
+  return [...normalizeAutoRules(rules).filter(entry => !sameTarget(entry, normalized)), normalized];
+}
+
+export function removeAutoRule(rules, target) {
+  return normalizeAutoRules(rules).filter(entry => !sameTarget(entry, target));
+}
@@ -1,66 +1,41 @@
 import {
+  applyReduction,
+  currencyWeightLbs,
+  getCapacityCount,
   getCapacityLbs,
-  getReductionPct,
+  getCapacityVolume,
+  getContainerEffectChanges,
+  getItemQuantity,
+  getReductionConfig,
   isContainer,
-  ownWeightLbs
+  ownVolumeCuFt,
+  ownWeightLbs,
+  resolveIncludeNested
 } from "./weight.js";
+import {
+  ItemCollectionView,
+  buildContainerIndex,
+  collectContainerAncestorIds,
+  collectContainerContents,
+  getItem
+} from "./inventory.js";
+import { getContainerQuotas, itemMatchesToken } from "./restrictions.js";
+import { getContainerCategoryReductions } from "./tokens.js";
+import { findNestingViolations } from "./nesting.js";
 
 const LOAD_EPSILON = 0.00001;
 
-export class ItemCollectionView {
-  constructor(items = []) {
-    this.items = new Map(Array.from(items, item => [item.id, item]));
-  }
-
-  get(id) {
-    return this.items.get(id);
-  }
-
-  find(predicate) {
-    return Array.from(this.items.values()).find(predicate);
-  }
-
-  [Symbol.iterator]() {
-    return this.items.values();
-  }
-}
-
-export function getItem(actor, id) {
-  return actor?.items?.get(id) ?? null;
-}
-
-export function buildContainerIndex(actor) {
-  const index = new Map();
-  if (!actor?.items) return index;
-  for (const item of actor.items) {
-    const containerId = item.system?.container ?? null;
-    if (!containerId) continue;
-    if (!index.has(containerId)) index.set(containerId, []);
-    index.get(containerId).push(item);
-  }
-  return index;
-}
-
-export function collectContainerAncestorIds(actor, containerId) {
-  const ancestors = [];
-  const visited = new Set();
-  let currentId = containerId;
-  while (currentId && !visited.has(currentId)) {
-    visited.add(currentId);
-    const container = getItem(actor, currentId);
-    if (!container || !isContainer(container)) break;
-    ancestors.push(currentId);
-    currentId = container.system?.container ?? null;
-  }
-  return ancestors;
-}
-
 export function computeAdjustedLoad(
   actor,
   containerId,
   {
     includeNested = true,
     defaultUnit = "lb",
+    defaultVolumeUnit = "cubicFoot",
+    coinsPerWeight = 0,
+    weaponTypeMap = {},
+    evaluateFormula = null,
+    resolveEffects = null,
     index = null,
     memo = null,
     visited = null,
@@ -68,29 +43,89 @@ export function computeAdjustedLoad(
   } = {}
 ) {
   const trace = [];
-  if (!actor || !containerId) return { load: 0, trace };
+  if (!actor || !containerId) return { load: 0, volume: 0, currency: 0, trace };
 
   const containerIndex = index ?? buildContainerIndex(actor);
   const memoMap = memo ?? new Map();
   const visitedIds = visited ?? new Set();
   const container = getItem(actor, containerId);
-  const reduction = getReductionPct(container) / 100;
-  const memoKey = `${containerId}|${includeNested}|${defaultUnit}|${reduction}`;
+  const reductionConfig = getReductionConfig(container, defaultUnit, { evaluateFormula, resolveEffects });
+  const categories = getContainerCategoryReductions(container);
+  const nestedHere = resolveIncludeNested(container, includeNested);
+  const memoKey = [
+    containerId,
+    includeNested,
+    nestedHere,
+    defaultUnit,
+    defaultVolumeUnit,
+    coinsPerWeight,
+    JSON.stringify(reductionConfig),
+    JSON.stringify(categories)
+  ].join("|");
 
   if (memoMap.has(memoKey)) {
-    return { load: memoMap.get(memoKey), trace };
+    return { ...memoMap.get(memoKey), trace };
   }
   if (visitedIds.has(containerId)) {
     onCycle?.(containerId);
-    memoMap.set(memoKey, 0);
-    return { load: 0, trace: [{ type: "cycle-break", id: containerId }] };
+    memoMap.set(memoKey, { load: 0, volume: 0, currency: 0 });
+    return { load: 0, volume: 0, currency: 0, trace: [{ type: "cycle-break", id: containerId }] };
   }
 
   visitedIds.add(containerId);
   let load = 0;
-  for (const child of containerIndex.get(containerId) ?? []) {
+  let volume = 0;
+  const effects = getContainerEffectChanges(container, { resolveEffects });
+  if (effects.length) {
+    trace.push({
+      child: container.name,
+      id: containerId,
+      type: "effects",
+      effects: effects.map(({ target, name, source, mode, value }) => ({ target, name, source, mode, value })),
+      reduction: reductionConfig.pct
+    });
+  }
+  const children = containerIndex.get(containerId) ?? [];
+  const rules = new Map(children.map(child => [
+    child.id,
+    categories.find(entry => itemMatchesToken(child, entry.match, weaponTypeMap)) ?? null
+  ]));
+  const currencyLbs = currencyWeightLbs(container?.system?.currency, { coinsPerWeight, defaultUnit });
+  const rawLbs = children
+    .filter(child => !rules.get(child.id))
+    .reduce((total, child) => total + ownWeightLbs(child, defaultUnit), currencyLbs);
+  const defaultReduction = getReductionFraction(rawLbs, reductionConfig);
+  if (reductionConfig.mode !== "percent" && rawLbs > 0) {
+    trace.push({
+      child: container.name,
+      id: containerId,
+      type: "reduction",
+      mode: reductionConfig.mode,
+      wLbs: rawLbs,
+      reduction: defaultReduction,
+      added: applyReduction(rawLbs, reductionConfig)
+    });
+  }
+  let currency = 0;
+  if (currencyLbs > 0) {
+    currency = currencyLbs * (1 - defaultReduction);
+    load += currency;
+    trace.push({
+      child: container.name,
+      id: containerId,
+      type: "currency",
+      wLbs: currencyLbs,
+      reduction: defaultReduction,
+      added: currency
+    });
+  }
+  for (const child of children) {
+    const rule = rules.get(child.id);
+    const reduction = rule ? rule.pct / 100 : defaultReduction;
     const weightLbs = ownWeightLbs(child, defaultUnit);
     const reducedWeight = weightLbs * (1 - reduction);
+    const volumeCuFt = ownVolumeCuFt(child, defaultVolumeUnit);
+    volume += volumeCuFt;
     if (isContainer(child)) {
       load += reducedWeight;
       trace.push({
@@ -98,13 +133,20 @@ export function computeAdjustedLoad(
         id: child.id,
         type: "container-self",
         wLbs: weightLbs,
+        volumeCuFt,
         reduction,
+        rule,
         added: reducedWeight
       });
-      if (includeNested) {
+      if (nestedHere) {
         const nested = computeAdjustedLoad(actor, child.id, {
           includeNested,
           defaultUnit,
+          defaultVolumeUnit,
+          coinsPerWeight,
+          weaponTypeMap,
+          evaluateFormula,
+          resolveEffects,
           index: containerIndex,
           memo: memoMap,
           visited: visitedIds,
@@ -125,7 +167,9 @@ export function computeAdjustedLoad(
         id: child.id,
         type: "item",
         wLbs: weightLbs,
+        volumeCuFt,
         reduction,
+        rule,
         added: reducedWeight
       });
     }
@@ -133,16 +177,46 @@ export function computeAdjustedLoad(
 
   visitedIds.delete(containerId);
   load = Math.max(0, Number(load.toFixed(5)));
-  memoMap.set(memoKey, load);
-  return { load, trace };
+  volume = Math.max(0, Number(volume.toFixed(5)));
+  currency = Number(currency.toFixed(5));
+  memoMap.set(memoKey, { load, volume, currency });
+  return { load, volume, currency, trace };
+}
+
+function getReductionFraction(rawLbs, config) {
+  if (config.mode === "percent") return config.pct / 100;
+  if (rawLbs <= 0) return 0;
+  return 1 - applyReduction(rawLbs, config) / rawLbs;
+}
+
+export function countContainerContents(
+  actor,
+  containerId,
+  { countMode = "quantity", index = null } = {}
+) {
+  if (!actor || !containerId) return 0;
+  const containerIndex = index ?? buildContainerIndex(actor);
+  let count = 0;
+  for (const child of containerIndex.get(containerId) ?? []) {
+    count += countMode === "stacks" ? 1 : Math.max(0, getItemQuantity(child));
+  }
+  return count;
 }
 
 export function computeActorCarriedLbs(
   actor,
-  { includeNested = true, defaultUnit = "lb", onCycle = null } = {}
+  {
+    includeNested = true,
+    defaultUnit = "lb",
+    coinsPerWeight = 0,
+    weaponTypeMap = {},
+    evaluateFormula = null,
+    resolveEffects = null,
+    onCycle = null
+  } = {}
 ) {
   if (!actor?.items) return 0;
-  let total = 0;
+  let total = currencyWeightLbs(actor.system?.currency, { coinsPerWeight, defaultUnit });
   const index = buildContainerIndex(actor);
   const memo = new Map();
   for (const item of actor.items) {
@@ -152,6 +226,10 @@ export function computeActorCarriedLbs(
       total += computeAdjustedLoad(actor, item.id, {
         includeNested,
         defaultUnit,
+        coinsPerWeight,
+        weaponTypeMap,
+        evaluateFormula,
+        resolveEffects,
         index,
         memo,
         onCycle
@@ -161,71 +239,405 @@ export function computeActorCarriedLbs(
   return Math.max(0, Number(total.toFixed(5)));
 }
 
-export function createProjectedActor(actor, candidateItem) {
+export function createProjectedActor(actor, candidates) {
+  const takenIds = new Set(Array.from(actor?.items ?? [], item => item.id));
+  let pendingIndex = 0;
+  const nextPendingId = () => {
+    while (takenIds.has(`pending-${pendingIndex}`)) pendingIndex += 1;
+    takenIds.add(`pending-${pendingIndex}`);
+    return `pending-${pendingIndex}`;
+  };
+  const batch = (Array.isArray(candidates) ? candidates : [candidates])
+    .filter(Boolean)
+    .map(candidate => (candidate.id == null ? { ...candidate, id: nextPendingId() } : candidate));
+  const replacements = new Map(batch.map(candidate => [candidate.id, candidate]));
   const items = [];
-  let replaced = false;
   for (const item of actor?.items ?? []) {
-    if (item.id === candidateItem.id) {
-      items.push(candidateItem);
-      replaced = true;
-    } else {
-      items.push(item);
-    }
+    items.push(replacements.get(item.id) ?? item);
+    replacements.delete(item.id);
   }
-  if (!replaced) items.push(candidateItem);
+  for (const candidate of replacements.values()) items.push(candidate);
   return { items: new ItemCollectionView(items) };
 }
 
+function exceedsCapacity({
+  capacity,
+  previousCapacity,
+  before,
+  after,
+  existed,
+  epsilon = 0
+}) {
+  const increased = after > before + epsilon;
+  const capacityDecreased = previousCapacity != null
+    && capacity < previousCapacity - epsilon;
+  return after > capacity + epsilon
+    && (increased || capacityDecreased || !existed);
+}
+
 export function findCapacityViolations(
   currentActor,
   projectedActor,
-  { includeNested = true, defaultUnit = "lb", onCycle = null } = {}
+  {
+    includeNested = true,
+    defaultUnit = "lb",
+    defaultVolumeUnit = "cubicFoot",
+    countMode = "quantity",
+    weaponTypeMap = {},
+    coinsPerWeight = 0,
+    evaluateFormula = null,
+    resolveEffects = null,
+    onCycle = null
+  } = {}
 ) {
   const violations = [];
   const currentIndex = buildContainerIndex(currentActor);
   const projectedIndex = buildContainerIndex(projectedActor);
   const currentMemo = new Map();
   const projectedMemo = new Map();
+  const loadOptions = {
+    includeNested,
+    defaultUnit,
+    defaultVolumeUnit,
+    coinsPerWeight,
+    weaponTypeMap,
+    evaluateFormula,
+    resolveEffects,
+    onCycle
+  };
 
   for (const projectedContainer of projectedActor?.items ?? []) {
     if (!isContainer(projectedContainer)) continue;
-    const capacityLbs = getCapacityLbs(projectedContainer, defaultUnit);
-    if (!capacityLbs) continue;
+    const capacityLbs = getCapacityLbs(projectedContainer, defaultUnit, { evaluateFormula, resolveEffects });
+    const capacityCount = getCapacityCount(projectedContainer);
+    const capacityVolume = getCapacityVolume(projectedContainer, defaultVolumeUnit);
+    if (!capacityLbs && !capacityCount && !capacityVolume) continue;
 
     const currentContainer = getItem(currentActor, projectedContainer.id);
-    const beforeLbs = currentContainer
+    const existed = Boolean(currentContainer);
+    const before = currentContainer
       ? computeAdjustedLoad(currentActor, currentContainer.id, {
-        includeNested,
-        defaultUnit,
+        ...loadOptions,
         index: currentIndex,
-        memo: currentMemo,
-        onCycle
-      }).load
-      : 0;
-    const afterLbs = computeAdjustedLoad(projectedActor, projectedContainer.id, {
-      includeNested,
-      defaultUnit,
+        memo: currentMemo
+      })
+      : { load: 0, volume: 0 };
+    const after = computeAdjustedLoad(projectedActor, projectedContainer.id, {
+      ...loadOptions,
       index: projectedIndex,
-      memo: projectedMemo,
-      onCycle
-    }).load;
-    const previousCapacityLbs = currentContainer
-      ? getCapacityLbs(currentContainer, defaultUnit)
-      : null;
-    const loadIncreased = afterLbs > beforeLbs + LOAD_EPSILON;
-    const capacityDecreased = previousCapacityLbs != null
-      && capacityLbs < previousCapacityLbs - LOAD_EPSILON;
-
-    if (afterLbs > capacityLbs + LOAD_EPSILON
-        && (loadIncreased || capacityDecreased || !currentContainer)) {
+      memo: projectedMemo
+    });
+
+    if (capacityLbs && exceedsCapacity({
+      capacity: capacityLbs,
+      previousCapacity: currentContainer
+        ? getCapacityLbs(currentContainer, defaultUnit, { evaluateFormula, resolveEffects })
+        : null,
+      before: before.load,
+      after: after.load,
+      existed,
+      epsilon: LOAD_EPSILON
+    })) {
       violations.push({
+        type: "weight",
         container: projectedContainer,
         capacityLbs,
-        beforeLbs,
-        afterLbs,
-        deltaLbs: Math.max(0, afterLbs - beforeLbs)
+        beforeLbs: before.load,
+        afterLbs: after.load,
+        deltaLbs: Math.max(0, after.load - before.load)
+      });
+    }
+
+    if (capacityVolume && exceedsCapacity({
+      capacity: capacityVolume,
+      previousCapacity: currentContainer
+        ? getCapacityVolume(currentContainer, defaultVolumeUnit)
+        : null,
+      before: before.volume,
+      after: after.volume,
+      existed,
+      epsilon: LOAD_EPSILON
+    })) {
+      violations.push({
+        type: "volume",
+        container: projectedContainer,
+        capacityVolume,
+        beforeVolume: before.volume,
+        afterVolume: after.volume,
+        deltaVolume: Math.max(0, after.volume - before.volume)
+      });
+    }
+
+    if (!capacityCount) continue;
+    const beforeCount = currentContainer
+      ? countContainerContents(currentActor, currentContainer.id, {
+        countMode,
+        index: currentIndex
+      })
+      : 0;
+    const afterCount = countContainerContents(projectedActor, projectedContainer.id, {
+      countMode,
+      index: projectedIndex
+    });
+    if (exceedsCapacity({
+      capacity: capacityCount,
+      previousCapacity: currentContainer ? getCapacityCount(currentContainer) : null,
+      before: beforeCount,
+      after: afterCount,
+      existed
+    })) {
+      violations.push({
+        type: "count",
+        container: projectedContainer,
+        capacityCount,
+        beforeCount,
+        afterCount,
+        deltaCount: Math.max(0, afterCount - beforeCount)
       });
     }
   }
+  violations.push(...findQuotaViolations(currentActor, projectedActor, {
+    includeNested,
+    weaponTypeMap
+  }));
   return violations;
 }
+
+function sumQuotaQuantity(actor, containerId, match, { index, weaponTypeMap, includeNested, visited = new Set() }) {
+  if (visited.has(containerId)) return 0;
+  visited.add(containerId);
+  const nestedHere = resolveIncludeNested(getItem(actor, containerId), includeNested);
+  return (index.get(containerId) ?? []).reduce((total, child) => {
+    let sum = itemMatchesToken(child, match, weaponTypeMap) ? getItemQuantity(child) : 0;
+    if (nestedHere && isContainer(child)) {
+      sum += sumQuotaQuantity(actor, child.id, match, { index, weaponTypeMap, includeNested, visited });
+    }
+    return total + sum;
+  }, 0);
+}
+
+export function findQuotaViolations(
+  currentActor,
+  projectedActor,
+  { includeNested = true, weaponTypeMap = {} } = {}
+) {
+  const violations = [];
+  const currentIndex = buildContainerIndex(currentActor);
+  const projectedIndex = buildContainerIndex(projectedActor);
+  for (const projectedContainer of projectedActor?.items ?? []) {
+    if (!isContainer(projectedContainer)) continue;
+    const currentContainer = getItem(currentActor, projectedContainer.id);
+    const previousQuotas = getContainerQuotas(currentContainer);
+    for (const quota of getContainerQuotas(projectedContainer)) {
+      const beforeCount = currentContainer
+        ? sumQuotaQuantity(currentActor, currentContainer.id, quota.match, {
+          index: currentIndex,
+          weaponTypeMap,
+          includeNested
+        })
+        : 0;
+      const afterCount = sumQuotaQuantity(projectedActor, projectedContainer.id, quota.match, {
+        index: projectedIndex,
+        weaponTypeMap,
+        includeNested
+      });
+      if (!exceedsCapacity({
+        capacity: quota.max,
+        previousCapacity: previousQuotas.find(entry => entry.match === quota.match)?.max ?? null,
+        before: beforeCount,
+        after: afterCount,
+        existed: Boolean(currentContainer)
+      })) continue;
+      violations.push({
+        type: "quota",
+        container: projectedContainer,
+        quota,
+        capacityCount: quota.max,
+        beforeCount,
+        afterCount,
+        deltaCount: Math.max(0, afterCount - beforeCount)
+      });
+    }
+  }
+  return violations;
+}
+
+function withQuantity(candidate, quantity) {
+  return {
+    ...candidate,
+    system: { ...candidate.system, quantity }
+  };
+}
+
+export function findFittingQuantity(currentActor, candidate, options = {}) {
+  const quantity = Math.max(0, Math.floor(getItemQuantity(candidate)));
+  const fits = value => !findCapacityViolations(
+    currentActor,
+    createProjectedActor(currentActor, withQuantity(candidate, value)),
+    options
+  ).length;
+
+  if (fits(quantity)) return quantity;
+  if (!fits(0)) return 0;
+  let low = 0;
+  let high = quantity;
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (fits(middle)) low = middle;
+    else high = middle;
+  }
+  return low;
+}
+
+export function findSpillDestination(
+  currentActor,
+  candidate,
+  { canAccept = () => true, ...options } = {}
+) {
+  const destination = getItem(currentActor, candidate.system?.container ?? null);
+  const ancestorIds = collectContainerAncestorIds(
+    currentActor,
+    destination?.system?.container ?? null
+  );
+  for (const containerId of [...ancestorIds, null]) {
+    if (containerId && containerId === candidate.id) continue;
+    const container = containerId ? getItem(currentActor, containerId) : null;
+    if (container && !canAccept(container, candidate)) continue;
+    const moved = {
+      ...candidate,
+      system: { ...candidate.system, container: containerId }
+    };
+    const projectedActor = createProjectedActor(currentActor, moved);
+    if (
+      !findCapacityViolations(currentActor, projectedActor, options).length
+      && !findNestingViolations(currentActor, projectedActor, options).length
+    ) {
+      return { containerId, container };
+    }
+  }
+  return null;
+}
+
+export function prepareTransferData(sources, { containerId = null, generateId }) {
+  const ids = new Map(sources.map(source => [source._id ?? source.id, generateId()]));
+  return sources.map((source, index) => {
+    const data = { ...source };
+    delete data.id;
+    const previousContainerId = source.system?.container ?? null;
+    return {
+      ...data,
+      _id: ids.get(source._id ?? source.id),
+      system: {
+        ...source.system,
+        container: index === 0
+          ? containerId
+          : ids.get(previousContainerId) ?? containerId
+      }
+    };
+  });
+}
+
+export function planContainerDeletion(
+  actor,
+  containerId,
+  { policy = "parent", canAccept = () => true, ...options } = {}
+) {
+  const plan = { policy, blocked: false, updates: [], deleteIds: [], displaced: [] };
+  const container = getItem(actor, containerId);
+  const index = buildContainerIndex(actor);
+  const children = index.get(containerId) ?? [];
+  if (!container || !children.length) return plan;
+
+  if (policy === "block") {
+    plan.blocked = true;
+    return plan;
+  }
+  if (policy === "delete") {
+    plan.deleteIds = collectContainerContents(actor, containerId, { index })
+      .map(child => child.id);
+    return plan;
+  }
+
+  const parentId = policy === "parent" ? container.system?.container ?? null : null;
+  const parent = parentId ? getItem(actor, parentId) : null;
+  const base = {
+    items: new ItemCollectionView(
+      Array.from(actor.items).filter(item => item.id !== containerId)
+    )
+  };
+  const planned = [];
+  for (const child of children) {
+    let targetId = null;
+    if (parent) {
+      const moved = { ...child, system: { ...child.system, container: parentId } };
+      if (!canAccept(parent, child)) {
+        plan.displaced.push({ item: child, reason: "restriction" });
+      } else if (findCapacityViolations(
+        createProjectedActor(base, planned),
+        createProjectedActor(base, [...planned, moved]),
+        options
+      ).length) {
+        plan.displaced.push({ item: child, reason: "capacity" });
+      } else {
+        targetId = parentId;
+        planned.push(moved);
+      }
+    }
+    plan.updates.push({ _id: child.id, "system.container": targetId });
+  }
+  return plan;
+}
+
+export function findNonconformingContents(
+  actor,
+  containerCandidate,
+  { validate = () => ({ ok: true }), exempt = [], ...options } = {}
+) {
+  const containerId = containerCandidate?.id;
+  const children = buildContainerIndex(actor).get(containerId) ?? [];
+  const exemptIds = new Set(exempt);
+  const detach = child => ({
+    ...child,
+    id: child.id,
+    system: { ...child.system, container: null }
+  });
+  const findings = [];
+  const kept = children.filter(child => exemptIds.has(child.id));
+  const pending = () => [
+    containerCandidate,
+    ...children.map(child => (kept.includes(child) ? child : detach(child)))
+  ];
+
+  for (const child of children) {
+    if (exemptIds.has(child.id)) continue;
+    const result = validate(containerCandidate, child);
+    if (!result.ok) {
+      findings.push({ item: child, reason: "restriction", result });
+      continue;
+    }
+    const before = createProjectedActor(actor, pending());
+    kept.push(child);
+    const after = createProjectedActor(actor, pending());
+    const violation = findCapacityViolations(before, after, options)
+      .find(entry => entry.container.id === containerId);
+    if (violation) {
+      kept.pop();
+      findings.push({ item: child, reason: "capacity", violation });
+    }
+  }
+  return findings;
+}
+
+export function planContentEjection(actor, containerCandidate, items, options = {}) {
+  const base = createProjectedActor(actor, containerCandidate);
+  const moved = [];
+  const updates = [];
+  for (const item of items) {
+    const working = createProjectedActor(base, moved);
+    const target = findSpillDestination(working, getItem(working, item.id) ?? item, options);
+    const containerId = target?.containerId ?? null;
+    moved.push({ ...item, id: item.id, system: { ...item.system, container: containerId } });
+    updates.push({ _id: item.id, "system.container": containerId });
+  }
+  return updates;
+}
@@ -0,0 +1,183 @@
+import { MODULE_ID } from "../constants.js";
+import {
+  getContainerQuotas,
+  getContainerRestrictions,
+  getItemIdentifier,
+  getItemSourceUuid
+} from "./restrictions.js";
+import { getContainerCategoryReductions } from "./tokens.js";
+import { getContainerNestingRules } from "./nesting.js";
+import {
+  clamp,
+  getFormulaRules,
+  getIncludeNestedMode,
+  getReductionPct,
+  getReductionRules,
+  num
+} from "./weight.js";
+
+export const RULES_DOCUMENT_VERSION = 1;
+
+export const RULE_FLAG_KEYS = [
+  "reductionPct",
+  "reductionMode",
+  "reductionAmount",
+  "reductionCap",
+  "reductionTiers",
+  "categoryReductions",
+  "reductionFormula",
+  "capacityFormula",
+  "extradimensional",
+  "includeNested",
+  "allowedTypes",
+  "allowedSubtypes",
+  "requiredProperties",
+  "forbiddenProperties",
+  "propertyMatchMode",
+  "allowedIdentifiers",
+  "allowedNames",
+  "allowedSources",
+  "deniedIdentifiers",
+  "deniedNames",
+  "deniedSources",
+  "rarityMode",
+  "rarity",
+  "attunement",
+  "attuned",
+  "maxItemWeight",
+  "maxItemSize",
+  "quotas",
+  "maxNestingDepth",
+  "allowContainers",
+  "allowedContainers",
+  "ruleTree"
+];
+
+const IGNORED_FLAG_KEYS = ["grandfathered", "preset", "size"];
+
+export function hasContainerRules(containerItem) {
+  const flags = containerItem?.flags?.[MODULE_ID] ?? {};
+  return RULE_FLAG_KEYS.some(key => flags[key] != null);
+}
+
+export function sanitizeContainerRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return { rules: null, warnings: ["rules"] };
+  }
+  const source = { flags: { [MODULE_ID]: rules } };
+  const restrictions = getContainerRestrictions(source);
+  const sanitized = {
+    reductionPct: clamp(Math.round(num(rules.reductionPct, 0)), 0, 100),
+    ...getReductionRules(source),
+    categoryReductions: getContainerCategoryReductions(source),
+    ...getFormulaRules(source),
+    extradimensional: rules.extradimensional === true,
+    includeNested: getIncludeNestedMode(source),
+    ...restrictions,
+    quotas: getContainerQuotas(source),
+    ...getContainerNestingRules(source)
+  };
+  const warnings = Object.keys(rules).filter(key => (
+    !RULE_FLAG_KEYS.includes(key) && !IGNORED_FLAG_KEYS.includes(key)
+  ));
+  for (const key of ["reductionMode", "propertyMatchMode", "rarityMode", "attunement", "attuned", "allowContainers", "includeNested"]) {
+    if (rules[key] != null && rules[key] !== sanitized[key]) warnings.push(key);
+  }
+  if (rules.ruleTree != null && !sanitized.ruleTree) warnings.push("ruleTree");
+  if (Array.isArray(rules.quotas) && rules.quotas.length !== sanitized.quotas.length) warnings.push("quotas");
+  if (Array.isArray(rules.categoryReductions)
+      && rules.categoryReductions.length !== sanitized.categoryReductions.length) {
+    warnings.push("categoryReductions");
+  }
+  return { rules: sanitized, warnings };
+}
+
+export function makeRulesEntry(containerItem, actor = null) {
+  return {
+    id: containerItem.id,
+    name: containerItem.name,
+    identifier: getItemIdentifier(containerItem),
+    sourceUuid: getItemSourceUuid(containerItem),
+    actor: actor ? { id: actor.id, name: actor.name } : null,
+    rules: sanitizeContainerRules({
+      ...containerItem.flags?.[MODULE_ID],
+      reductionPct: getReductionPct(containerItem)
+    }).rules
+  };
+}
+
+export function makeRulesDocument(entries, { scope = "container", exportedAt = null } = {}) {
+  return {
+    module: MODULE_ID,
+    version: RULES_DOCUMENT_VERSION,
+    scope,
+    exportedAt,
+    containers: entries
+  };
+}
+
+export function parseRulesDocument(input) {
+  let document = input;
+  if (typeof input === "string") {
+    try {
+      document = JSON.parse(input);
+    } catch {
+      throw new Error("Rules document is not valid JSON");
+    }
+  }
+  if (!document || typeof document !== "object") throw new Error("Rules document must be an object");
+  if (document.module !== MODULE_ID) throw new Error(`Rules document is not a ${MODULE_ID} export`);
+  const version = Math.floor(num(document.version, 0));
+  if (version < 1 || version > RULES_DOCUMENT_VERSION) {
+    throw new Error(`Unsupported rules document version ${document.version}`);
+  }
+  if (!Array.isArray(document.containers)) throw new Error("Rules document has no containers list");
+
+  const containers = document.containers.map((entry, index) => {
+    const { rules, warnings } = sanitizeContainerRules(entry?.rules);
+    return {
+      index,
+      id: entry?.id ? String(entry.id) : null,
+      name: String(entry?.name ?? ""),
+      identifier: entry?.identifier ? String(entry.identifier) : null,
+      sourceUuid: entry?.sourceUuid ? String(entry.sourceUuid) : null,
+      actor: entry?.actor ? { id: entry.actor.id ?? null, name: entry.actor.name ?? null } : null,
+      rules,
+      warnings
+    };
+  });
+  return { version, scope: String(document.scope ?? "container"), containers };
+}
+
+function entryMatchesActor(entry, actor) {
+  if (!entry.actor) return true;
+  if (!actor) return false;
+  return entry.actor.id === actor.id || entry.actor.name === actor.name;
+}
+
+export function planRulesImport(document, targets) {
+  const unmatched = new Set(targets);
+  const plan = [];
+  const skipped = [];
+  for (const entry of document.containers) {
+    if (!entry.rules) {
+      skipped.push(entry);
+      continue;
+    }
+    const candidates = Array.from(unmatched).filter(target => entryMatchesActor(entry, target.actor));
+    const target = candidates.find(candidate => entry.id && candidate.container.id === entry.id)
+      ?? candidates.find(candidate => entry.sourceUuid && getItemSourceUuid(candidate.container) === entry.sourceUuid)
+      ?? candidates.find(candidate => entry.identifier && getItemIdentifier(candidate.container) === entry.identifier);
+    if (!target) {
+      skipped.push(entry);
+      continue;
+    }
+    unmatched.delete(target);
+    plan.push({ ...target, entry });
+  }
+  return { plan, skipped };
+}
+
+export function makeRulesUpdate(rules) {
+  return Object.fromEntries(RULE_FLAG_KEYS.map(key => [`flags.${MODULE_ID}.${key}`, rules[key]]));
+}
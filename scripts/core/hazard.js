@@ -0,0 +1,60 @@
+import { MODULE_ID } from "../constants.js";
+import {
+  buildContainerIndex,
+  collectContainerAncestorIds,
+  collectContainerContents,
+  getItem
+} from "./inventory.js";
+import { isContainer } from "./weight.js";
+
+export const RIFT_POLICIES = ["parent", "root", "astral"];
+
+export function isExtradimensional(item) {
+  return isContainer(item) && item?.flags?.[MODULE_ID]?.extradimensional === true;
+}
+
+export function findExtradimensionalPairs(actor) {
+  const pairs = [];
+  for (const inner of actor?.items ?? []) {
+    if (!isExtradimensional(inner)) continue;
+    const outerId = collectContainerAncestorIds(actor, inner.system?.container ?? null)
+      .find(id => id !== inner.id && isExtradimensional(getItem(actor, id)));
+    if (outerId) pairs.push({ inner, outer: getItem(actor, outerId) });
+  }
+  return pairs;
+}
+
+export function findNewExtradimensionalPairs(currentActor, projectedActor) {
+  const existing = new Set(findExtradimensionalPairs(currentActor)
+    .map(pair => `${pair.inner.id}:${pair.outer.id}`));
+  return findExtradimensionalPairs(projectedActor)
+    .filter(pair => !existing.has(`${pair.inner.id}:${pair.outer.id}`));
+}
+
+export function planRift(actor, { inner, outer }, { policy = "parent" } = {}) {
+  const index = buildContainerIndex(actor);
+  const exit = policy === "root" ? null : outer.system?.container ?? null;
+  const chain = collectContainerAncestorIds(actor, inner.system?.container ?? null);
+  const escapeId = chain.includes(outer.id)
+    ? [inner.id, ...chain.slice(0, chain.indexOf(outer.id))].pop()
+    : null;
+
+  if (policy === "astral") {
+    const keep = new Set([inner.id, ...chain.slice(0, Math.max(0, chain.indexOf(outer.id)))]);
+    const deleteIds = Array.from(new Set([
+      ...collectContainerContents(actor, outer.id, { index }),
+      ...collectContainerContents(actor, inner.id, { index })
+    ].map(item => item.id))).filter(id => !keep.has(id));
+    return {
+      updates: escapeId ? [{ _id: escapeId, "system.container": exit }] : [],
+      deleteIds
+    };
+  }
+
+  const children = [...(index.get(inner.id) ?? []), ...(index.get(outer.id) ?? [])];
+  return {
+    updates: Array.from(new Set(children.map(item => item.id)))
+      .map(id => ({ _id: id, "system.container": exit })),
+    deleteIds: []
+  };
+}
@@ -0,0 +1,73 @@
+import { isContainer } from "./weight.js";
+
+export class ItemCollectionView {
+  constructor(items = []) {
+    this.items = new Map(Array.from(items, item => [item.id, item]));
+  }
+
+  get(id) {
+    return this.items.get(id);
+  }
+
+  find(predicate) {
+    return Array.from(this.items.values()).find(predicate);
+  }
+
+  [Symbol.iterator]() {
+    return this.items.values();
+  }
+}
+
+export function getItem(actor, id) {
+  return actor?.items?.get(id) ?? null;
+}
+
+export function buildContainerIndex(actor) {
+  const index = new Map();
+  if (!actor?.items) return index;
+  for (const item of actor.items) {
+    const containerId = item.system?.container ?? null;
+    if (!containerId) continue;
+    if (!index.has(containerId)) index.set(containerId, []);
+    index.get(containerId).push(item);
+  }
+  return index;
+}
+
+export function collectContainerAncestorIds(actor, containerId) {
+  const ancestors = [];
+  const visited = new Set();
+  let currentId = containerId;
+  while (currentId && !visited.has(currentId)) {
+    visited.add(currentId);
+    const container = getItem(actor, currentId);
+    if (!container || !isContainer(container)) break;
+    ancestors.push(currentId);
+    currentId = container.system?.container ?? null;
+  }
+  return ancestors;
+}
+
+export function findDropContainerId(actor, itemId) {
+  const target = itemId ? getItem(actor, itemId) : null;
+  if (!target) return null;
+  return isContainer(target) ? target.id : target.system?.container ?? null;
+}
+
+export function collectContainerContents(actor, containerId, { index = null } = {}) {
+  const contents = [];
+  if (!actor || !containerId) return contents;
+  const containerIndex = index ?? buildContainerIndex(actor);
+  const visited = new Set([containerId]);
+  const queue = [containerId];
+  while (queue.length) {
+    const currentId = queue.shift();
+    for (const child of containerIndex.get(currentId) ?? []) {
+      if (visited.has(child.id)) continue;
+      visited.add(child.id);
+      contents.push(child);
+      if (isContainer(child)) queue.push(child.id);
+    }
+  }
+  return contents;
+}
@@ -0,0 +1,84 @@
+import { MODULE_ID } from "../constants.js";
+import { buildContainerIndex, getItem } from "./inventory.js";
+import { findNewExtradimensionalPairs } from "./hazard.js";
+import { itemMatchesToken } from "./restrictions.js";
+import { normalizeToken, parseTokenList } from "./tokens.js";
+import { isContainer, num } from "./weight.js";
+
+export const CONTAINER_NESTING_MODES = ["any", "none", "listed"];
+
+export function getContainerNestingRules(containerItem) {
+  const flags = containerItem?.flags?.[MODULE_ID] ?? {};
+  const maxDepth = flags.maxNestingDepth === "" || flags.maxNestingDepth == null
+    ? null
+    : Math.max(0, Math.floor(num(flags.maxNestingDepth, 0)));
+  return {
+    maxNestingDepth: maxDepth,
+    allowContainers: CONTAINER_NESTING_MODES.includes(flags.allowContainers) ? flags.allowContainers : "any",
+    allowedContainers: Array.from(new Set(parseTokenList(flags.allowedContainers)))
+  };
+}
+
+export function getNestingDepth(actor, containerId, { index = null } = {}) {
+  const containerIndex = index ?? buildContainerIndex(actor);
+  const visit = (id, visited) => {
+    let depth = 0;
+    for (const child of containerIndex.get(id) ?? []) {
+      if (!isContainer(child) || visited.has(child.id)) continue;
+      depth = Math.max(depth, 1 + visit(child.id, new Set([...visited, child.id])));
+    }
+    return depth;
+  };
+  return visit(containerId, new Set([containerId]));
+}
+
+export function containerAcceptsContainer(containerItem, childItem, { weaponTypeMap = {} } = {}) {
+  const rules = getContainerNestingRules(containerItem);
+  if (rules.allowContainers === "none") return false;
+  if (rules.allowContainers === "any") return true;
+  return rules.allowedContainers.some(token => itemMatchesToken(childItem, normalizeToken(token), weaponTypeMap));
+}
+
+export function findNestingViolations(
+  currentActor,
+  projectedActor,
+  { maxNestingDepth = 0, weaponTypeMap = {}, extradimensional = false } = {}
+) {
+  const violations = [];
+  const currentIndex = buildContainerIndex(currentActor);
+  const projectedIndex = buildContainerIndex(projectedActor);
+
+  for (const child of projectedActor?.items ?? []) {
+    if (!isContainer(child)) continue;
+    const parentId = child.system?.container ?? null;
+    const parent = parentId ? getItem(projectedActor, parentId) : null;
+    if (!parent || !isContainer(parent)) continue;
+    const previous = getItem(currentActor, child.id);
+    if (previous && (previous.system?.container ?? null) === parentId) continue;
+    if (!containerAcceptsContainer(parent, child, { weaponTypeMap })) {
+      violations.push({ type: "containerKind", container: parent, item: child });
+    }
+  }
+
+  for (const container of projectedActor?.items ?? []) {
+    if (!isContainer(container)) continue;
+    const limit = getContainerNestingRules(container).maxNestingDepth
+      ?? (maxNestingDepth > 0 ? maxNestingDepth : null);
+    if (limit == null) continue;
+    const depth = getNestingDepth(projectedActor, container.id, { index: projectedIndex });
+    if (depth <= limit) continue;
+    const before = getItem(currentActor, container.id)
+      ? getNestingDepth(currentActor, container.id, { index: currentIndex })
+      : 0;
+    if (depth <= before) continue;
+    violations.push({ type: "depth", container, depth, maxNestingDepth: limit });
+  }
+
+  if (extradimensional) {
+    for (const { inner, outer } of findNewExtradimensionalPairs(currentActor, projectedActor)) {
+      violations.push({ type: "extradimensional", container: outer, item: inner });
+    }
+  }
+
+  return violations;
+}
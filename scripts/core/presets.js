@@ -0,0 +1,76 @@
+export const PRESET_SECTIONS = {
+  reductionPct: "basic",
+  reductionMode: "basic",
+  reductionAmount: "basic",
+  reductionCap: "basic",
+  reductionTiers: "basic",
+  categoryReductions: "basic",
+  reductionFormula: "basic",
+  capacityFormula: "basic",
+  extradimensional: "basic",
+  includeNested: "basic",
+  allowedTypes: "restrictions",
+  allowedSubtypes: "restrictions",
+  maxItemWeight: "restrictions",
+  maxItemSize: "restrictions",
+  quotas: "restrictions",
+  maxNestingDepth: "restrictions",
+  allowContainers: "restrictions",
+  allowedContainers: "restrictions",
+  allowedIdentifiers: "items",
+  allowedNames: "items",
+  allowedSources: "items",
+  deniedIdentifiers: "items",
+  deniedNames: "items",
+  deniedSources: "items",
+  rarityMode: "magic",
+  rarity: "magic",
+  attunement: "magic",
+  attuned: "magic",
+  requiredProperties: "properties",
+  forbiddenProperties: "properties",
+  propertyMatchMode: "properties",
+  ruleTree: "logic"
+};
+
+export function normalizePresets(presets) {
+  if (!presets || typeof presets !== "object" || Array.isArray(presets)) return {};
+  return Object.fromEntries(Object.entries(presets).filter(([id, preset]) => (
+    id && typeof preset?.name === "string" && preset.name.trim() && preset.config && typeof preset.config === "object"
+  )));
+}
+
+export function findPresetByName(presets, name) {
+  const needle = String(name ?? "").trim().toLowerCase();
+  if (!needle) return null;
+  const entry = Object.entries(normalizePresets(presets))
+    .find(([, preset]) => preset.name.trim().toLowerCase() === needle);
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+export function upsertPreset(presets, { name, config }, makeId) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return { presets: normalizePresets(presets), id: null };
+  const id = findPresetByName(presets, trimmed)?.id ?? makeId();
+  return {
+    presets: { ...normalizePresets(presets), [id]: { name: trimmed, config } },
+    id
+  };
+}
+
+export function removePreset(presets, id) {
+  const { [id]: removed, ...rest } = normalizePresets(presets);
+  return rest;
+}
+
+export function diffPresetConfig(presetConfig, config) {
+  const keys = new Set([...Object.keys(presetConfig ?? {}), ...Object.keys(config ?? {})]);
+  return Array.from(keys).filter(key => (
+    JSON.stringify(presetConfig?.[key] ?? null) !== JSON.stringify(config?.[key] ?? null)
+  ));
+}
+
+export function getDriftedSections(presetConfig, config) {
+  const sections = diffPresetConfig(presetConfig, config).map(key => PRESET_SECTIONS[key] ?? "basic");
+  return Array.from(new Set(sections));
+}
@@ -1,17 +1,38 @@
 import { MODULE_ID } from "../constants.js";
+import { convertWeightToLbs, getItemQuantity, num, ownWeightLbs } from "./weight.js";
+import { normalizeToken, parseTokenList } from "./tokens.js";
 
-export function normalizeToken(value) {
-  return String(value ?? "").trim().toLowerCase();
+export function parseEntryList(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? "").split("\n");
+  return Array.from(new Set(entries.map(entry => String(entry ?? "").trim()).filter(Boolean)));
 }
 
-export function parseTokenList(value) {
-  if (Array.isArray(value)) {
-    return value.map(normalizeToken).filter(Boolean);
+export const DEFAULT_RARITY_ORDER = ["common", "uncommon", "rare", "veryrare", "legendary", "artifact"];
+export const RARITY_MODES = ["any", "atLeast", "atMost"];
+export const DEFAULT_SIZE_ORDER = ["tiny", "sm", "med", "lg", "huge", "grg"];
+export const ATTUNEMENT_MODES = ["any", "required", "forbidden"];
+export const ATTUNED_MODES = ["any", "attuned", "notAttuned"];
+
+const pickMode = (value, modes) => (modes.includes(value) ? value : "any");
+
+export const RULE_GROUP_OPS = ["and", "or", "not"];
+export const RULE_PREDICATE_KINDS = ["type", "subtype", "property", "identifier"];
+export const RULE_MATCH_MODES = ["any", "all", "none"];
+
+export function normalizeRuleTree(node) {
+  if (!node || typeof node !== "object") return null;
+  if (RULE_GROUP_OPS.includes(node.op)) {
+    const rules = Array.isArray(node.rules)
+      ? node.rules.map(normalizeRuleTree).filter(Boolean)
+      : [];
+    return { op: node.op, rules };
   }
-  return String(value ?? "")
-    .split(/[,\n;]/)
-    .map(normalizeToken)
-    .filter(Boolean);
+  if (!RULE_PREDICATE_KINDS.includes(node.kind)) return null;
+  return {
+    kind: node.kind,
+    match: RULE_MATCH_MODES.includes(node.match) ? node.match : "any",
+    values: Array.from(new Set(parseTokenList(node.values)))
+  };
 }
 
 export function getContainerRestrictions(containerItem) {
@@ -21,10 +42,187 @@ export function getContainerRestrictions(containerItem) {
     allowedSubtypes: parseTokenList(flags.allowedSubtypes),
     requiredProperties: parseTokenList(flags.requiredProperties),
     forbiddenProperties: parseTokenList(flags.forbiddenProperties),
-    propertyMatchMode: flags.propertyMatchMode === "any" ? "any" : "all"
+    propertyMatchMode: flags.propertyMatchMode === "any" ? "any" : "all",
+    allowedIdentifiers: parseTokenList(flags.allowedIdentifiers),
+    allowedNames: parseEntryList(flags.allowedNames),
+    allowedSources: parseEntryList(flags.allowedSources),
+    deniedIdentifiers: parseTokenList(flags.deniedIdentifiers),
+    deniedNames: parseEntryList(flags.deniedNames),
+    deniedSources: parseEntryList(flags.deniedSources),
+    rarityMode: flags.rarity ? pickMode(flags.rarityMode, RARITY_MODES) : "any",
+    rarity: normalizeToken(flags.rarity),
+    attunement: pickMode(flags.attunement, ATTUNEMENT_MODES),
+    attuned: pickMode(flags.attuned, ATTUNED_MODES),
+    maxItemWeight: num(flags.maxItemWeight?.value, 0) > 0
+      ? { value: num(flags.maxItemWeight.value, 0), units: flags.maxItemWeight.units || null }
+      : null,
+    maxItemSize: normalizeToken(flags.maxItemSize),
+    ruleTree: normalizeRuleTree(flags.ruleTree)
   };
 }
 
+export function flatRestrictionsToRuleTree(restrictions) {
+  const rules = [];
+  if (restrictions.allowedTypes?.length) {
+    rules.push({ kind: "type", match: "any", values: [...restrictions.allowedTypes] });
+  }
+  if (restrictions.allowedSubtypes?.length) {
+    rules.push({ kind: "subtype", match: "any", values: [...restrictions.allowedSubtypes] });
+  }
+  if (restrictions.requiredProperties?.length) {
+    rules.push({
+      kind: "property",
+      match: restrictions.propertyMatchMode === "any" ? "any" : "all",
+      values: [...restrictions.requiredProperties]
+    });
+  }
+  if (restrictions.forbiddenProperties?.length) {
+    rules.push({ kind: "property", match: "none", values: [...restrictions.forbiddenProperties] });
+  }
+  return { op: "and", rules };
+}
+
+export function getContainerRuleTree(containerItem) {
+  const restrictions = getContainerRestrictions(containerItem);
+  return restrictions.ruleTree ?? flatRestrictionsToRuleTree(restrictions);
+}
+
+export function isRuleTreeEmpty(node) {
+  if (!node) return true;
+  if (node.rules) return node.rules.every(isRuleTreeEmpty);
+  return !node.values.length;
+}
+
+export function describeRuleTree(node, {
+  predicate = rule => `${rule.kind} ${rule.match} [${rule.values.join(", ")}]`,
+  and = " AND ",
+  or = " OR ",
+  not = "NOT "
+} = {}) {
+  const format = { predicate, and, or, not };
+  if (!node || isRuleTreeEmpty(node)) return "";
+  if (!node.rules) return predicate(node);
+  const parts = node.rules
+    .filter(rule => !isRuleTreeEmpty(rule))
+    .map(rule => {
+      const text = describeRuleTree(rule, format);
+      return rule.rules && rule.op !== "not" && rule.rules.length > 1 ? `(${text})` : text;
+    });
+  if (node.op === "not") return `${not}(${parts.join(and)})`;
+  return parts.join(node.op === "or" ? or : and);
+}
+
+export function normalizeQuotas(quotas) {
+  if (!Array.isArray(quotas)) return [];
+  const seen = new Set();
+  return quotas
+    .map(quota => ({
+      match: normalizeToken(quota?.match),
+      max: quota?.max === "" || quota?.max == null ? -1 : Math.floor(num(quota.max, -1))
+    }))
+    .filter(quota => quota.match && quota.max >= 0 && !seen.has(quota.match) && seen.add(quota.match));
+}
+
+export function getContainerQuotas(containerItem) {
+  return normalizeQuotas(containerItem?.flags?.[MODULE_ID]?.quotas);
+}
+
+export function getGrandfatheredIds(containerItem) {
+  const ids = containerItem?.flags?.[MODULE_ID]?.grandfathered;
+  return Array.isArray(ids) ? ids.filter(id => typeof id === "string" && id) : [];
+}
+
+export function getItemIdentifier(itemData) {
+  const identifier = normalizeToken(itemData?.system?.identifier);
+  if (identifier) return identifier;
+  return normalizeToken(itemData?.name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function getItemSourceUuid(itemData) {
+  return itemData?._stats?.compendiumSource ?? itemData?.flags?.core?.sourceId ?? null;
+}
+
+export function matchesNamePattern(name, pattern) {
+  const source = String(pattern ?? "").trim()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`, "iu").test(String(name ?? "").trim());
+}
+
+function matchesItemList(itemData, { identifiers, names, sources }) {
+  const sourceUuid = getItemSourceUuid(itemData);
+  return identifiers.includes(getItemIdentifier(itemData))
+    || names.some(pattern => matchesNamePattern(itemData?.name, pattern))
+    || Boolean(sourceUuid && sources.includes(sourceUuid));
+}
+
+export function getItemRarity(itemData) {
+  return normalizeToken(itemData?.system?.rarity);
+}
+
+export function itemRequiresAttunement(itemData) {
+  const attunement = itemData?.system?.attunement;
+  return attunement === "required" || attunement === 1 || attunement === 2;
+}
+
+export function isItemAttuned(itemData) {
+  return Boolean(itemData?.system?.attuned) || itemData?.system?.attunement === 2;
+}
+
+export function getItemSize(itemData) {
+  return normalizeToken(itemData?.flags?.[MODULE_ID]?.size);
+}
+
+function checkItemLimits(restrictions, itemData, { defaultUnit, sizeOrder }) {
+  if (restrictions.maxItemWeight) {
+    const limitLbs = convertWeightToLbs(
+      restrictions.maxItemWeight.value,
+      restrictions.maxItemWeight.units,
+      defaultUnit
+    );
+    const quantity = Math.max(1, getItemQuantity(itemData));
+    const unitLbs = ownWeightLbs(itemData, defaultUnit) / quantity;
+    if (unitLbs > limitLbs + 0.00001) {
+      return { reason: "itemWeight", itemValue: unitLbs, limitValue: limitLbs };
+    }
+  }
+  const itemSize = getItemSize(itemData);
+  if (restrictions.maxItemSize && itemSize) {
+    const order = (sizeOrder.length ? sizeOrder : DEFAULT_SIZE_ORDER).map(normalizeToken);
+    const limit = order.indexOf(restrictions.maxItemSize);
+    const rank = order.indexOf(itemSize);
+    if (limit >= 0 && rank > limit) {
+      return { reason: "itemSize", itemValue: itemSize, limitValue: restrictions.maxItemSize };
+    }
+  }
+  return null;
+}
+
+function checkMagicRestrictions(restrictions, itemData, rarityOrder) {
+  if (restrictions.rarityMode !== "any") {
+    const order = (rarityOrder.length ? rarityOrder : DEFAULT_RARITY_ORDER).map(normalizeToken);
+    const limit = order.indexOf(restrictions.rarity);
+    const itemRarity = getItemRarity(itemData);
+    const rank = order.indexOf(itemRarity);
+    const fits = limit < 0 || (restrictions.rarityMode === "atLeast" ? rank >= limit : rank <= limit);
+    if (!fits) return { reason: "rarity", itemValue: itemRarity };
+  }
+  const required = itemRequiresAttunement(itemData);
+  if (restrictions.attunement !== "any" && required !== (restrictions.attunement === "required")) {
+    return { reason: "attunement", itemValue: required };
+  }
+  const attuned = isItemAttuned(itemData);
+  if (restrictions.attuned !== "any" && attuned !== (restrictions.attuned === "attuned")) {
+    return { reason: "attuned", itemValue: attuned };
+  }
+  return null;
+}
+
 export function getItemPropertyTokens(itemData) {
   const properties = itemData?.system?.properties;
   const tokens = new Set();
@@ -64,42 +262,84 @@ export function getItemMatchTokens(itemData, weaponTypeMap = {}) {
   return tokens;
 }
 
+export function itemMatchesToken(itemData, token, weaponTypeMap = {}) {
+  return getItemMatchTokens(itemData, weaponTypeMap).has(token) || getItemIdentifier(itemData) === token;
+}
+
+function getPredicateTokens(kind, itemData, weaponTypeMap) {
+  if (kind === "type") return new Set([normalizeToken(itemData?.type)]);
+  if (kind === "subtype") return getItemMatchTokens(itemData, weaponTypeMap);
+  if (kind === "property") return getItemPropertyTokens(itemData);
+  return new Set([getItemIdentifier(itemData)]);
+}
+
+function getPredicateReason(rule) {
+  if (rule.kind === "property") return rule.match === "none" ? "forbiddenProperty" : "property";
+  return rule.kind;
+}
+
+export function evaluateRuleTree(node, itemData, { weaponTypeMap = {} } = {}) {
+  if (!node || isRuleTreeEmpty(node)) return { ok: true };
+  if (!node.rules) {
+    const tokens = getPredicateTokens(node.kind, itemData, weaponTypeMap);
+    const matched = node.values.filter(value => tokens.has(value)).length;
+    const ok = node.match === "all" ? matched === node.values.length
+      : node.match === "none" ? matched === 0
+        : matched > 0;
+    return ok ? { ok } : { ok, reason: getPredicateReason(node) };
+  }
+  const rules = node.rules.filter(rule => !isRuleTreeEmpty(rule));
+  const results = rules.map(rule => evaluateRuleTree(rule, itemData, { weaponTypeMap }));
+  if (node.op === "or") {
+    if (results.some(result => result.ok)) return { ok: true };
+    return { ok: false, reason: results.length === 1 ? results[0].reason : "rules" };
+  }
+  const failure = results.find(result => !result.ok);
+  if (node.op === "not") return failure ? { ok: true } : { ok: false, reason: "rules" };
+  return failure ?? { ok: true };
+}
+
 export function validateContainerRestrictions(
   containerItem,
   itemData,
-  { weaponTypeMap = {} } = {}
+  {
+    weaponTypeMap = {},
+    rarityOrder = DEFAULT_RARITY_ORDER,
+    sizeOrder = DEFAULT_SIZE_ORDER,
+    defaultUnit = "lb"
+  } = {}
 ) {
   const restrictions = getContainerRestrictions(containerItem);
-  if (!restrictions.allowedTypes.length
-      && !restrictions.allowedSubtypes.length
-      && !restrictions.requiredProperties.length
-      && !restrictions.forbiddenProperties.length) {
-    return { ok: true, restrictions };
+  const itemId = itemData?.id ?? itemData?._id;
+  if (itemId && getGrandfatheredIds(containerItem).includes(itemId)) {
+    return { ok: true, restrictions, grandfathered: true };
   }
-
-  const itemType = normalizeToken(itemData?.type);
-  if (restrictions.allowedTypes.length
-      && !restrictions.allowedTypes.includes(itemType)) {
-    return { ok: false, reason: "type", restrictions };
-  }
-
-  const matchTokens = getItemMatchTokens(itemData, weaponTypeMap);
-  if (restrictions.allowedSubtypes.length
-      && !restrictions.allowedSubtypes.some(token => matchTokens.has(token))) {
-    return { ok: false, reason: "subtype", restrictions };
-  }
-
-  const propertyTokens = getItemPropertyTokens(itemData);
-  const requiredMatches = restrictions.propertyMatchMode === "any"
-    ? restrictions.requiredProperties.some(token => propertyTokens.has(token))
-    : restrictions.requiredProperties.every(token => propertyTokens.has(token));
-  if (restrictions.requiredProperties.length && !requiredMatches) {
-    return { ok: false, reason: "property", restrictions };
+  if (matchesItemList(itemData, {
+    identifiers: restrictions.deniedIdentifiers,
+    names: restrictions.deniedNames,
+    sources: restrictions.deniedSources
+  })) {
+    return { ok: false, reason: "denied", restrictions };
   }
-
-  if (restrictions.forbiddenProperties.some(token => propertyTokens.has(token))) {
-    return { ok: false, reason: "forbiddenProperty", restrictions };
+  const allowList = {
+    identifiers: restrictions.allowedIdentifiers,
+    names: restrictions.allowedNames,
+    sources: restrictions.allowedSources
+  };
+  if (Object.values(allowList).some(entries => entries.length)
+      && !matchesItemList(itemData, allowList)) {
+    return { ok: false, reason: "notListed", restrictions };
   }
-
-  return { ok: true, restrictions };
+  const limitFailure = checkItemLimits(restrictions, itemData, { defaultUnit, sizeOrder });
+  if (limitFailure) return { ok: false, ...limitFailure, restrictions };
+  const magicFailure = checkMagicRestrictions(restrictions, itemData, rarityOrder);
+  if (magicFailure) return { ok: false, ...magicFailure, restrictions };
+  const result = evaluateRuleTree(
+    restrictions.ruleTree ?? flatRestrictionsToRuleTree(restrictions),
+    itemData,
+    { weaponTypeMap }
+  );
+  return result.ok
+    ? { ok: true, restrictions }
+    : { ok: false, reason: result.reason, restrictions };
 }
@@ -0,0 +1,36 @@
+import { MODULE_ID } from "../constants.js";
+
+export function normalizeToken(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+export function parseTokenList(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeToken).filter(Boolean);
+  }
+  return String(value ?? "")
+    .split(/[,\n;]/)
+    .map(normalizeToken)
+    .filter(Boolean);
+}
+
+function parsePct(value) {
+  if (value === "" || value == null) return -1;
+  const pct = Number(value);
+  return Number.isFinite(pct) ? Math.min(100, Math.round(pct)) : -1;
+}
+
+export function normalizeCategoryReductions(entries) {
+  if (!Array.isArray(entries)) return [];
+  const seen = new Set();
+  return entries
+    .map(entry => ({
+      match: normalizeToken(entry?.match),
+      pct: parsePct(entry?.pct)
+    }))
+    .filter(entry => entry.match && entry.pct >= 0 && !seen.has(entry.match) && seen.add(entry.match));
+}
+
+export function getContainerCategoryReductions(containerItem) {
+  return normalizeCategoryReductions(containerItem?.flags?.[MODULE_ID]?.categoryReductions);
+}
@@ -1,4 +1,5 @@
-import { LBS_PER_KG, MODULE_ID } from "../constants.js";
+import { CUBIC_FEET_PER_LITER, LBS_PER_KG, MODULE_ID } from "../constants.js";
+import { getContainerCategoryReductions } from "./tokens.js";
 
 export function num(value, fallback = 0) {
   const parsed = Number(value);
@@ -31,6 +32,43 @@ export function convertWeightToLbs(value, units, defaultUnit = "lb") {
   }
 }
 
+export function convertVolumeToCubicFeet(value, units, defaultUnit = "cubicFoot") {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  const normalizedUnit = String(units || defaultUnit).toLowerCase().trim();
+  switch (normalizedUnit) {
+    case "cubicfoot":
+    case "cubicfeet":
+    case "cuft":
+    case "cu ft":
+    case "ft3":
+    case "ft³":
+      return parsed;
+    case "liter":
+    case "liters":
+    case "litre":
+    case "litres":
+    case "l":
+      return parsed * CUBIC_FEET_PER_LITER;
+    case "cubicmeter":
+    case "cubicmeters":
+    case "m3":
+    case "m³":
+      return parsed * CUBIC_FEET_PER_LITER * 1000;
+    case "gallon":
+    case "gallons":
+    case "gal":
+      return parsed * 0.133681;
+    case "cubicinch":
+    case "cubicinches":
+    case "in3":
+    case "in³":
+      return parsed / 1728;
+    default:
+      return parsed;
+  }
+}
+
 export function getItemUnitWeight(item) {
   const weight = item?.system?.weight;
   if (weight == null) return 0;
@@ -54,13 +92,232 @@ export function ownWeightLbs(item, defaultUnit = "lb") {
   ) * getItemQuantity(item);
 }
 
-export function getReductionPct(containerItem) {
-  const value = Number(containerItem?.flags?.[MODULE_ID]?.reductionPct ?? 0);
+export function getCurrencyCount(currency) {
+  if (!currency || typeof currency !== "object") return 0;
+  return Object.values(currency).reduce((total, amount) => total + Math.max(0, num(amount, 0)), 0);
+}
+
+export function currencyWeightLbs(currency, { coinsPerWeight = 0, defaultUnit = "lb" } = {}) {
+  if (!(coinsPerWeight > 0)) return 0;
+  return convertWeightToLbs(getCurrencyCount(currency) / coinsPerWeight, defaultUnit, defaultUnit);
+}
+
+export function getItemUnitVolume(item) {
+  const volume = item?.flags?.[MODULE_ID]?.volume ?? item?.system?.volume;
+  if (volume == null) return { value: 0, units: null };
+  if (typeof volume === "object") {
+    return { value: num(volume.value, 0), units: volume.units || null };
+  }
+  return { value: num(volume, 0), units: null };
+}
+
+export function ownVolumeCuFt(item, defaultUnit = "cubicFoot") {
+  const { value, units } = getItemUnitVolume(item);
+  return convertVolumeToCubicFeet(value, units, defaultUnit) * getItemQuantity(item);
+}
+
+export function normalizeFormula(formula) {
+  return typeof formula === "string" && formula.trim() ? formula.trim() : null;
+}
+
+export function evaluateFlagFormula(containerItem, key, evaluateFormula = null) {
+  const formula = normalizeFormula(containerItem?.flags?.[MODULE_ID]?.[key]);
+  if (!formula || typeof evaluateFormula !== "function") return null;
+  const result = evaluateFormula(formula);
+  if (result == null || result === "") return null;
+  const value = Number(result);
+  return Number.isFinite(value) ? value : null;
+}
+
+export function getFormulaRules(containerItem) {
+  const flags = containerItem?.flags?.[MODULE_ID] ?? {};
+  return {
+    reductionFormula: normalizeFormula(flags.reductionFormula),
+    capacityFormula: normalizeFormula(flags.capacityFormula)
+  };
+}
+
+export const EFFECT_MODES = { custom: 0, multiply: 1, add: 2, downgrade: 3, upgrade: 4, override: 5 };
+
+export const EFFECT_TARGETS = ["reduction", "capacity"];
+
+export function getContainerEffectChanges(containerItem, { resolveEffects = null, target = null } = {}) {
+  if (!containerItem || typeof resolveEffects !== "function") return [];
+  return (resolveEffects(containerItem) ?? [])
+    .filter(change => (
+      EFFECT_TARGETS.includes(change?.target)
+      && (!target || change.target === target)
+      && change.value != null
+      && change.value !== ""
+    ))
+    .map(change => {
+      const mode = Math.floor(num(change.mode, EFFECT_MODES.add));
+      return {
+        target: change.target,
+        name: String(change.name ?? ""),
+        source: change.source ?? null,
+        mode,
+        value: Number(change.value),
+        priority: num(change.priority, mode * 10)
+      };
+    })
+    .filter(change => change.mode !== EFFECT_MODES.custom && Number.isFinite(change.value));
+}
+
+export function applyEffectChanges(base, changes) {
+  return [...changes]
+    .sort((left, right) => left.priority - right.priority)
+    .reduce((value, change) => {
+      switch (change.mode) {
+        case EFFECT_MODES.multiply:
+          return value * change.value;
+        case EFFECT_MODES.add:
+          return value + change.value;
+        case EFFECT_MODES.downgrade:
+          return Math.min(value, change.value);
+        case EFFECT_MODES.upgrade:
+          return Math.max(value, change.value);
+        case EFFECT_MODES.override:
+          return change.value;
+        default:
+          return value;
+      }
+    }, base);
+}
+
+export function getReductionPct(containerItem, { evaluateFormula = null, resolveEffects = null } = {}) {
+  const base = evaluateFlagFormula(containerItem, "reductionFormula", evaluateFormula)
+    ?? Number(containerItem?.flags?.[MODULE_ID]?.reductionPct ?? 0);
+  const value = applyEffectChanges(
+    Number.isFinite(base) ? base : 0,
+    getContainerEffectChanges(containerItem, { resolveEffects, target: "reduction" })
+  );
   if (!Number.isFinite(value)) return 0;
   return clamp(Math.round(value), 0, 100);
 }
 
-export function getCapacityLbs(containerItem, defaultUnit = "lb") {
+export const REDUCTION_MODES = ["percent", "fixed", "capped", "tiered"];
+
+function normalizeWeightValue(weight) {
+  const value = num(weight?.value, 0);
+  return value > 0 ? { value, units: weight.units ?? null } : null;
+}
+
+export function normalizeReductionTiers(tiers) {
+  if (!Array.isArray(tiers)) return [];
+  return tiers
+    .map(tier => {
+      const upTo = num(tier?.upTo, 0);
+      return {
+        upTo: upTo > 0 ? upTo : null,
+        units: tier?.units ?? null,
+        pct: clamp(Math.round(num(tier?.pct, 0)), 0, 100)
+      };
+    })
+    .filter(tier => tier.upTo != null || tier.pct > 0);
+}
+
+export function getReductionRules(containerItem) {
+  const flags = containerItem?.flags?.[MODULE_ID] ?? {};
+  return {
+    reductionMode: REDUCTION_MODES.includes(flags.reductionMode) ? flags.reductionMode : "percent",
+    reductionAmount: normalizeWeightValue(flags.reductionAmount),
+    reductionCap: normalizeWeightValue(flags.reductionCap),
+    reductionTiers: normalizeReductionTiers(flags.reductionTiers)
+  };
+}
+
+export function getReductionConfig(
+  containerItem,
+  defaultUnit = "lb",
+  { evaluateFormula = null, resolveEffects = null } = {}
+) {
+  const rules = getReductionRules(containerItem);
+  const toLbs = weight => (weight ? convertWeightToLbs(weight.value, weight.units, defaultUnit) : 0);
+  return {
+    mode: rules.reductionMode,
+    pct: getReductionPct(containerItem, { evaluateFormula, resolveEffects }),
+    amountLbs: toLbs(rules.reductionAmount),
+    capLbs: toLbs(rules.reductionCap),
+    tiers: rules.reductionTiers
+      .map(tier => ({
+        upToLbs: tier.upTo == null ? Infinity : convertWeightToLbs(tier.upTo, tier.units, defaultUnit),
+        pct: tier.pct
+      }))
+      .sort((left, right) => left.upToLbs - right.upToLbs)
+  };
+}
+
+export function applyReduction(rawLbs, config) {
+  const raw = Math.max(0, num(rawLbs, 0));
+  switch (config?.mode) {
+    case "fixed":
+      return Math.max(0, raw - config.amountLbs);
+    case "capped": {
+      const saved = raw * config.pct / 100;
+      return raw - (config.capLbs > 0 ? Math.min(saved, config.capLbs) : saved);
+    }
+    case "tiered": {
+      let reduced = 0;
+      let floor = 0;
+      for (const tier of config.tiers) {
+        if (raw <= floor) break;
+        const band = Math.min(raw, tier.upToLbs) - floor;
+        if (band > 0) reduced += band * (1 - tier.pct / 100);
+        floor = Math.max(floor, tier.upToLbs);
+      }
+      return reduced + Math.max(0, raw - floor);
+    }
+    default:
+      return raw * (1 - num(config?.pct, 0) / 100);
+  }
+}
+
+export function hasWeightReduction(containerItem, { evaluateFormula = null, resolveEffects = null } = {}) {
+  const config = getReductionConfig(containerItem, "lb", { evaluateFormula, resolveEffects });
+  if (getContainerCategoryReductions(containerItem).some(entry => entry.pct > 0)) return true;
+  switch (config.mode) {
+    case "fixed":
+      return config.amountLbs > 0;
+    case "tiered":
+      return config.tiers.some(tier => tier.pct > 0);
+    default:
+      return config.pct > 0;
+  }
+}
+
+export const INCLUDE_NESTED_MODES = ["inherit", "yes", "no"];
+
+export function getIncludeNestedMode(containerItem) {
+  const mode = containerItem?.flags?.[MODULE_ID]?.includeNested;
+  return INCLUDE_NESTED_MODES.includes(mode) ? mode : "inherit";
+}
+
+export function resolveIncludeNested(containerItem, fallback = true) {
+  const mode = getIncludeNestedMode(containerItem);
+  if (mode === "inherit") return Boolean(fallback);
+  return mode === "yes";
+}
+
+export function getCapacityLbs(
+  containerItem,
+  defaultUnit = "lb",
+  { evaluateFormula = null, resolveEffects = null } = {}
+) {
+  const base = getBaseCapacityLbs(containerItem, defaultUnit, evaluateFormula);
+  const changes = getContainerEffectChanges(containerItem, { resolveEffects, target: "capacity" });
+  if (base == null || !changes.length) return base;
+  const unitLbs = convertWeightToLbs(1, defaultUnit, defaultUnit);
+  const value = applyEffectChanges(base / unitLbs, changes) * unitLbs;
+  return Number.isFinite(value) && value > 0 ? Number(value.toFixed(5)) : null;
+}
+
+function getBaseCapacityLbs(containerItem, defaultUnit, evaluateFormula) {
+  const evaluated = evaluateFlagFormula(containerItem, "capacityFormula", evaluateFormula);
+  if (evaluated != null) {
+    return evaluated > 0 ? convertWeightToLbs(evaluated, defaultUnit, defaultUnit) : null;
+  }
+
   const capacity = containerItem?.system?.capacity;
   if (!capacity) return null;
 
@@ -75,7 +332,9 @@ export function getCapacityLbs(containerItem, defaultUnit = "lb") {
     }
   }
 
-  if (capacity.value != null && Number.isFinite(Number(capacity.value))) {
+  if (capacity.type !== "items"
+      && capacity.value != null
+      && Number.isFinite(Number(capacity.value))) {
     const valueLbs = convertWeightToLbs(
       capacity.value,
       capacity.units,
@@ -88,6 +347,30 @@ export function getCapacityLbs(containerItem, defaultUnit = "lb") {
   return null;
 }
 
+export function getCapacityCount(containerItem) {
+  const capacity = containerItem?.system?.capacity;
+  if (!capacity || typeof capacity !== "object") return null;
+
+  if (capacity.count != null) {
+    const value = Math.floor(num(capacity.count, 0));
+    if (value > 0) return value;
+  }
+
+  if (capacity.type === "items") {
+    const value = Math.floor(num(capacity.value, 0));
+    if (value > 0) return value;
+  }
+  return null;
+}
+
+export function getCapacityVolume(containerItem, defaultUnit = "cubicFoot") {
+  const volume = containerItem?.system?.capacity?.volume;
+  if (!volume || typeof volume !== "object") return null;
+  const value = num(volume.value, 0);
+  if (value <= 0) return null;
+  return convertVolumeToCubicFeet(value, volume.units, defaultUnit);
+}
+
 export function isContainer(item) {
   return item?.type === "container";
 }
@@ -0,0 +1,200 @@
+import { MODULE_ID } from "../constants.js";
+import { AUDIT_KINDS, auditActor } from "../core/audit.js";
+
+function collectAuditActors() {
+  const actors = new Map();
+  for (const actor of game.actors ?? []) actors.set(actor.uuid, actor);
+  for (const scene of game.scenes ?? []) {
+    for (const token of scene.tokens ?? []) {
+      if (token.actorLink || !token.actor) continue;
+      actors.set(token.actor.uuid, token.actor);
+    }
+  }
+  return Array.from(actors.values());
+}
+
+export function registerInventoryAudit({
+  logger,
+  getLoadOptions,
+  validateContainerRestrictions,
+  formatMeasure
+}) {
+  const runAudit = () => {
+    const actors = new Map();
+    const findings = [];
+    for (const actor of collectAuditActors()) {
+      actors.set(actor.uuid, actor);
+      for (const finding of auditActor(actor, {
+        ...getLoadOptions(actor),
+        onCycle: null,
+        validate: validateContainerRestrictions
+      })) {
+        findings.push({ actor: { uuid: actor.uuid, name: actor.name }, ...finding });
+      }
+    }
+    return {
+      report: {
+        module: MODULE_ID,
+        generatedAt: new Date().toISOString(),
+        actorCount: actors.size,
+        findings
+      },
+      actors
+    };
+  };
+
+  const applyFix = async (actor, finding) => {
+    if (!actor || !finding?.fix) return false;
+    const existing = finding.fix.updates.filter(update => actor.items.get(update._id));
+    if (!existing.length) return false;
+    await actor.updateEmbeddedDocuments("Item", existing, { [MODULE_ID]: { rehome: true } });
+    logger.info("Audit fix applied", { actor: actor.name, kind: finding.kind, updates: existing });
+    return true;
+  };
+
+  const describe = finding => {
+    if (finding.kind === "overflow") {
+      return game.i18n.format(`${MODULE_ID}.audit.detail.overflow`, {
+        measure: game.i18n.format(`${MODULE_ID}.audit.measure.${finding.measure}`, {
+          match: finding.quota?.match ?? ""
+        }),
+        load: formatMeasure(finding.measure, finding.load),
+        capacity: formatMeasure(finding.measure, finding.capacity)
+      });
+    }
+    if (finding.kind === "restriction") {
+      return game.i18n.localize(`${MODULE_ID}.audit.reason.${finding.reason ?? "type"}`);
+    }
+    if (finding.kind === "dangling") {
+      return game.i18n.format(`${MODULE_ID}.audit.detail.dangling`, { containerId: finding.containerId });
+    }
+    return game.i18n.format(`${MODULE_ID}.audit.detail.cycle`, {
+      items: finding.items.map(item => item.name).join(" → ")
+    });
+  };
+
+  const AuditApplication = foundry.applications.api.HandlebarsApplicationMixin(
+    foundry.applications.api.ApplicationV2
+  );
+
+  class InventoryAuditApp extends AuditApplication {
+    static DEFAULT_OPTIONS = {
+      id: `${MODULE_ID}-audit`,
+      classes: ["container-rules", "wc-audit"],
+      position: { width: 860, height: 620 },
+      window: {
+        title: `${MODULE_ID}.audit.title`,
+        icon: "fas fa-clipboard-check",
+        resizable: true
+      },
+      actions: {
+        exportReport: InventoryAuditApp._exportReport,
+        fix: InventoryAuditApp._fix,
+        fixAll: InventoryAuditApp._fixAll,
+        refresh: InventoryAuditApp._refresh,
+        sort: InventoryAuditApp._sort
+      }
+    };
+
+    static PARTS = {
+      content: { template: `modules/${MODULE_ID}/templates/inventory-audit.hbs` }
+    };
+
+    sortKey = "actor";
+    sortDirection = 1;
+
+    async _prepareContext(options) {
+      const context = await super._prepareContext(options);
+      if (!this.result || options.isFirstRender) this.result = runAudit();
+      const rows = this.result.report.findings.map((finding, index) => ({
+        index,
+        actor: finding.actor.name,
+        kind: finding.kind,
+        kindLabel: game.i18n.localize(`${MODULE_ID}.audit.kind.${finding.kind}`),
+        container: finding.container?.name ?? "",
+        item: finding.item?.name ?? "",
+        details: describe(finding),
+        fixable: Boolean(finding.fix)
+      }));
+      const compare = (left, right) => {
+        if (this.sortKey === "kind") {
+          return AUDIT_KINDS.indexOf(left.kind) - AUDIT_KINDS.indexOf(right.kind);
+        }
+        return String(left[this.sortKey]).localeCompare(String(right[this.sortKey]), game.i18n.lang);
+      };
+      rows.sort((left, right) => compare(left, right) * this.sortDirection || left.index - right.index);
+      return {
+        ...context,
+        rows,
+        actorCount: this.result.report.actorCount,
+        fixableCount: rows.filter(row => row.fixable).length,
+        columns: ["actor", "kind", "container", "item", "details"].map(key => ({
+          key,
+          label: game.i18n.localize(`${MODULE_ID}.audit.column.${key}`),
+          sorted: this.sortKey === key,
+          descending: this.sortKey === key && this.sortDirection < 0
+        }))
+      };
+    }
+
+    async _applyFixes(findings) {
+      let applied = 0;
+      for (const finding of findings) {
+        try {
+          if (await applyFix(this.result.actors.get(finding.actor.uuid), finding)) applied += 1;
+        } catch (error) {
+          logger.error("Audit fix failed", { finding, error });
+        }
+      }
+      ui.notifications?.info(game.i18n.format(`${MODULE_ID}.audit.fixed`, { count: applied }));
+      this.result = runAudit();
+      return this.render();
+    }
+
+    static _exportReport() {
+      const stamp = this.result.report.generatedAt.replace(/[:.]/g, "-");
+      foundry.utils.saveDataToFile(
+        JSON.stringify(this.result.report, null, 2),
+        "application/json",
+        `${MODULE_ID}-audit-${stamp}.json`
+      );
+    }
+
+    static _fix(event, target) {
+      const finding = this.result.report.findings[Number(target.dataset.index)];
+      if (finding) return this._applyFixes([finding]);
+    }
+
+    static _fixAll() {
+      return this._applyFixes(this.result.report.findings.filter(finding => finding.fix));
+    }
+
+    static _refresh() {
+      this.result = runAudit();
+      return this.render();
+    }
+
+    static _sort(event, target) {
+      const key = target.dataset.key;
+      this.sortDirection = this.sortKey === key ? -this.sortDirection : 1;
+      this.sortKey = key;
+      return this.render();
+    }
+  }
+
+  Hooks.once("init", () => {
+    game.settings.registerMenu(MODULE_ID, "inventoryAudit", {
+      name: `${MODULE_ID}.audit.menu.name`,
+      label: `${MODULE_ID}.audit.menu.label`,
+      hint: `${MODULE_ID}.audit.menu.hint`,
+      icon: "fas fa-clipboard-check",
+      type: InventoryAuditApp,
+      restricted: true
+    });
+  });
+
+  return {
+    runAudit: () => runAudit().report,
+    openAudit: () => new InventoryAuditApp().render({ force: true })
+  };
+}
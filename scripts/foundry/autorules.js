@@ -0,0 +1,42 @@
+import { MODULE_ID } from "../constants.js";
+import {
+  DEFAULT_AUTO_RULES,
+  findAutoRule,
+  makeAutoRuleChanges,
+  normalizeAutoRules,
+  removeAutoRule,
+  upsertAutoRule
+} from "../core/autorules.js";
+
+export function getAutoRules() {
+  try {
+    return normalizeAutoRules(game.settings.get(MODULE_ID, "autoRules"));
+  } catch {
+    return [];
+  }
+}
+
+export function findUserAutoRule(target) {
+  if (!target) return null;
+  return getAutoRules().find(rule => rule.kind === target.kind && rule.value === target.value) ?? null;
+}
+
+export async function saveAutoRule(rule) {
+  await game.settings.set(MODULE_ID, "autoRules", upsertAutoRule(getAutoRules(), rule));
+}
+
+export async function deleteAutoRule(target) {
+  await game.settings.set(MODULE_ID, "autoRules", removeAutoRule(getAutoRules(), target));
+}
+
+export function registerAutoRules({ logger }) {
+  Hooks.on("preCreateItem", item => {
+    const rules = game.settings.get(MODULE_ID, "useDefaultAutoRules")
+      ? [...getAutoRules(), ...DEFAULT_AUTO_RULES]
+      : getAutoRules();
+    const rule = findAutoRule(rules, item.toObject?.() ?? item);
+    if (!rule) return;
+    item.updateSource(makeAutoRuleChanges(rule));
+    logger.info("Automatic container rules applied", { item: item.name, kind: rule.kind, value: rule.value });
+  });
+}
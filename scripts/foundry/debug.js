@@ -1,12 +1,24 @@
-import { buildContainerIndex } from "../core/containers.js";
+import { buildContainerIndex } from "../core/inventory.js";
 import { getContainerRestrictions } from "../core/restrictions.js";
-import { getReductionPct, isContainer } from "../core/weight.js";
+import {
+  getCapacityCount,
+  getCapacityVolume,
+  getIncludeNestedMode,
+  getReductionPct,
+  isContainer
+} from "../core/weight.js";
 
 export function installDebugApi({
   computeActorCarriedLbs,
   computeAdjustedLoad,
   getCapacityLbs,
   lbsToDisplay,
+  openAudit,
+  runAudit,
+  exportRules,
+  downloadRules,
+  importRules,
+  transferItem,
   validateContainerRestrictions
 }) {
   const findOpenApps = () => {
@@ -30,9 +42,17 @@ export function installDebugApi({
     computeActorCarriedLbs,
     computeAdjustedLoad,
     getCapacityLbs,
+    getCapacityCount,
+    getCapacityVolume,
     getReductionPct,
     getContainerRestrictions,
     validateContainerRestrictions,
+    transferItem,
+    runAudit,
+    openAudit,
+    exportRules,
+    downloadRules,
+    importRules,
 
     dumpContainer(itemOrName) {
       let item = null;
@@ -68,10 +88,13 @@ export function installDebugApi({
       console.log("contentsWeight:", system.contentsWeight);
       console.log("totalWeight:", system.totalWeight);
       if (item.parent) {
-        const { load, trace } = computeAdjustedLoad(item.parent, item.id);
+        const { load, volume, trace } = computeAdjustedLoad(item.parent, item.id);
         console.log("Adjusted load (lbs):", load);
+        console.log("Contents volume (cu ft):", volume);
         console.log("Adjusted load (display):", lbsToDisplay(load));
         console.log("Capacity (lbs):", getCapacityLbs(item));
+        console.log("Capacity (items):", getCapacityCount(item));
+        console.log("Capacity (cu ft):", getCapacityVolume(item));
         console.log("Trace:", trace);
       }
       console.groupEnd();
@@ -87,13 +110,17 @@ export function installDebugApi({
       const result = {};
       for (const item of actor.items) {
         if (!isContainer(item)) continue;
-        const { load, trace } = computeAdjustedLoad(actor, item.id, index);
+        const { load, volume, trace } = computeAdjustedLoad(actor, item.id, index);
         result[item.name] = {
           id: item.id,
           capacityLbs: getCapacityLbs(item),
+          capacityCount: getCapacityCount(item),
+          capacityCuFt: getCapacityVolume(item),
           loadLbs: load,
+          volumeCuFt: volume,
           loadDisplay: Number(lbsToDisplay(load).toFixed(2)),
           reductionPct: getReductionPct(item),
+          includeNested: getIncludeNestedMode(item),
           contentsWeight: item.system.contentsWeight,
           totalWeight: item.system.totalWeight,
           trace
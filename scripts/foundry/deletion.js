@@ -0,0 +1,90 @@
+import { MODULE_ID } from "../constants.js";
+import { planContainerDeletion } from "../core/containers.js";
+import { isContainer } from "../core/weight.js";
+
+export function registerDeletionHooks({ logger, enforcement }) {
+  const pendingPlans = new Map();
+
+  const report = (container, plan) => {
+    const parent = container.parent?.items?.get(container.system?.container);
+    const location = plan.policy === "parent" && parent ? parent.name : container.parent?.name;
+    const notify = (level, key, data = {}) => ui.notifications?.[level](
+      game.i18n.format(`${MODULE_ID}.deleteContents.${key}`, {
+        containerName: container.name,
+        ...data
+      })
+    );
+
+    if (plan.deleteIds.length) {
+      notify("info", "deleted", { count: plan.deleteIds.length });
+      return;
+    }
+    notify("info", "moved", { location });
+    if (plan.displaced.length) {
+      notify("warn", "displaced", {
+        location,
+        items: plan.displaced.map(entry => entry.item.name).join(", ")
+      });
+    }
+  };
+
+  Hooks.on("preDeleteItem", (item, options) => {
+    const actor = item?.parent;
+    const flags = options?.[MODULE_ID];
+    if (!actor || !isContainer(item) || flags?.transfer || flags?.rehome) return;
+    if (options?.deleteContents) return;
+
+    const plan = planContainerDeletion(actor, item.id, {
+      ...enforcement.getLoadOptions(actor),
+      policy: game.settings.get(MODULE_ID, "deleteContentsPolicy"),
+      canAccept: (container, itemData) => (
+        enforcement.checkRestrictions(container, itemData).ok
+      )
+    });
+    if (plan.blocked) {
+      ui.notifications?.warn(game.i18n.format(`${MODULE_ID}.deleteContents.blocked`, {
+        containerName: item.name
+      }));
+      return false;
+    }
+    if (!plan.updates.length && !plan.deleteIds.length) return;
+    const deletion = flags?.deletion ?? foundry.utils.randomID();
+    options[MODULE_ID] = { ...flags, deletion };
+    pendingPlans.set(`${deletion}.${item.uuid}`, plan);
+  });
+
+  Hooks.on("deleteItem", async (item, options, userId) => {
+    const key = `${options?.[MODULE_ID]?.deletion}.${item.uuid}`;
+    const plan = pendingPlans.get(key);
+    if (!plan) return;
+    pendingPlans.delete(key);
+    if (userId !== game.user.id) return;
+
+    const actor = item.parent;
+    const exists = id => Boolean(actor?.items?.get(id));
+    const operation = { [MODULE_ID]: { rehome: true } };
+    try {
+      if (plan.deleteIds.length) {
+        const ids = plan.deleteIds.filter(exists);
+        if (ids.length) await actor.deleteEmbeddedDocuments("Item", ids, operation);
+      } else {
+        const updates = plan.updates.filter(update => exists(update._id));
+        if (updates.length) await actor.updateEmbeddedDocuments("Item", updates, operation);
+      }
+      report(item, plan);
+      logger.info("container contents re-homed", {
+        container: item.name,
+        policy: plan.policy,
+        moved: plan.updates.length,
+        deleted: plan.deleteIds.length,
+        displaced: plan.displaced.map(entry => entry.item.name)
+      });
+    } catch (error) {
+      logger.error("Failed to re-home deleted container contents", {
+        container: item.name,
+        policy: plan.policy,
+        error
+      });
+    }
+  });
+}
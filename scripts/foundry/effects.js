@@ -0,0 +1,68 @@
+import { MODULE_ID } from "../constants.js";
+import { itemMatchesToken } from "../core/restrictions.js";
+import { normalizeToken } from "../core/tokens.js";
+import { makeFormulaEvaluator } from "./formulas.js";
+
+export const EFFECT_CHANGE_KEYS = {
+  [`flags.${MODULE_ID}.containerReduction`]: "reduction",
+  [`flags.${MODULE_ID}.containerCapacity`]: "capacity"
+};
+
+function parseEffectKey(key) {
+  for (const [prefix, target] of Object.entries(EFFECT_CHANGE_KEYS)) {
+    if (key === prefix) return { target, match: null };
+    if (typeof key === "string" && key.startsWith(`${prefix}.`)) {
+      return { target, match: normalizeToken(key.slice(prefix.length + 1)) || null };
+    }
+  }
+  return null;
+}
+
+function isEffectActive(effect) {
+  return effect?.active ?? !effect?.disabled;
+}
+
+export function effectTouchesContainers(effect) {
+  return Array.from(effect?.changes ?? []).some(change => parseEffectKey(change?.key));
+}
+
+function getActorEffects(actor) {
+  return Array.from(actor?.appliedEffects ?? actor?.effects ?? []).filter(isEffectActive);
+}
+
+function getContainerEffects(containerItem) {
+  return Array.from(containerItem?.effects ?? []).filter(effect => !effect.transfer && isEffectActive(effect));
+}
+
+function collectEffectChanges(effects, source, evaluate) {
+  const changes = [];
+  for (const effect of effects) {
+    for (const change of effect.changes ?? []) {
+      const parsed = parseEffectKey(change?.key);
+      if (!parsed) continue;
+      const value = evaluate ? evaluate(String(change.value ?? "")) : change.value;
+      if (value == null || !Number.isFinite(Number(value))) continue;
+      changes.push({
+        target: parsed.target,
+        match: parsed.match,
+        name: effect.name ?? "",
+        source,
+        mode: change.mode,
+        value: Number(value),
+        priority: change.priority
+      });
+    }
+  }
+  return changes;
+}
+
+export function makeEffectResolver(actor) {
+  const evaluate = makeFormulaEvaluator(actor);
+  let actorChanges = null;
+  const weaponTypeMap = CONFIG.DND5E?.weaponTypeMap ?? {};
+  return containerItem => {
+    actorChanges ??= collectEffectChanges(getActorEffects(actor), "actor", evaluate);
+    return [...actorChanges, ...collectEffectChanges(getContainerEffects(containerItem), "container", evaluate)]
+      .filter(change => !change.match || itemMatchesToken(containerItem, change.match, weaponTypeMap));
+  };
+}
@@ -1,28 +1,26 @@
 import { MODULE_ID } from "../constants.js";
 import {
-  collectContainerAncestorIds,
   createProjectedActor,
   findCapacityViolations,
-  getItem
+  findFittingQuantity,
+  findSpillDestination
 } from "../core/containers.js";
-import { validateContainerRestrictions } from "../core/restrictions.js";
-import { isContainer } from "../core/weight.js";
-
-const LBS_PER_KG = 2.20462;
-
-function getSystemWeightUnit() {
-  try {
-    return game.settings.get("dnd5e", "metricWeightUnits") ? "kg" : "lb";
-  } catch {
-    return "lb";
-  }
-}
-
-function lbsToDisplay(value) {
-  return getSystemWeightUnit() === "kg" ? value / LBS_PER_KG : value;
-}
+import { collectContainerAncestorIds, getItem } from "../core/inventory.js";
+import { findNestingViolations, getContainerNestingRules } from "../core/nesting.js";
+import {
+  describeRuleTree,
+  validateContainerRestrictions
+} from "../core/restrictions.js";
+import { convertWeightToLbs, getItemQuantity, isContainer } from "../core/weight.js";
+import {
+  cubicFeetToDisplay,
+  getSystemVolumeUnit,
+  getSystemWeightUnit,
+  lbsToDisplay,
+  makeLoadOptionsGetter
+} from "./units.js";
 
-function makeItemCandidate(item, changes = {}) {
+export function makeItemCandidate(item, changes = {}) {
   const source = item?.toObject?.() ?? {
     id: item?.id,
     name: item?.name,
@@ -39,7 +37,131 @@ function makeItemCandidate(item, changes = {}) {
   return candidate;
 }
 
-function makeRestrictionMessage({ containerName, itemName, restrictions }) {
+// On create the source already holds the data plus whatever earlier pre-hooks applied.
+function makeChangeCandidate(item, changes, action) {
+  return action === "create" ? makeItemCandidate(item) : makeItemCandidate(item, changes);
+}
+
+export function describeContainerRules(ruleTree) {
+  return describeRuleTree(ruleTree, {
+    predicate: rule => game.i18n.format(`${MODULE_ID}.ruleTree.describe.${rule.match}`, {
+      kind: game.i18n.localize(`${MODULE_ID}.ruleTree.kind.${rule.kind}`),
+      values: rule.values.join(", ")
+    }),
+    and: ` ${game.i18n.localize(`${MODULE_ID}.ruleTree.op.and`)} `,
+    or: ` ${game.i18n.localize(`${MODULE_ID}.ruleTree.op.or`)} `,
+    not: `${game.i18n.localize(`${MODULE_ID}.ruleTree.op.not`)} `
+  });
+}
+
+function describeItemList(identifiers, names, sources) {
+  const sourceName = uuid => {
+    try {
+      return fromUuidSync(uuid)?.name ?? uuid;
+    } catch {
+      return uuid;
+    }
+  };
+  return [...identifiers, ...names, ...sources.map(sourceName)].join(", ");
+}
+
+function makeItemListDetails(restrictions) {
+  const details = [];
+  const allowed = describeItemList(
+    restrictions.allowedIdentifiers,
+    restrictions.allowedNames,
+    restrictions.allowedSources
+  );
+  const denied = describeItemList(
+    restrictions.deniedIdentifiers,
+    restrictions.deniedNames,
+    restrictions.deniedSources
+  );
+  if (allowed) {
+    details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.allowedItems`, { items: allowed }));
+  }
+  if (denied) {
+    details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.deniedItems`, { items: denied }));
+  }
+  return details;
+}
+
+function getRarityLabel(rarity) {
+  const entry = Object.entries(CONFIG.DND5E?.itemRarity ?? {})
+    .find(([key]) => key.toLowerCase() === rarity);
+  if (!entry) return rarity || game.i18n.localize(`${MODULE_ID}.restrictionMessage.mundane`);
+  return game.i18n.localize(entry[1]?.label ?? entry[1]);
+}
+
+function getSizeLabel(size) {
+  const entry = Object.entries(CONFIG.DND5E?.actorSizes ?? {})
+    .find(([key]) => key.toLowerCase() === size);
+  if (!entry) return size;
+  return game.i18n.localize(entry[1]?.label ?? entry[1]);
+}
+
+function formatItemWeight(lbs) {
+  return `${lbsToDisplay(lbs).toFixed(2)} ${getSystemWeightUnit()}`;
+}
+
+function makeItemLimitDetails(restrictions) {
+  const details = [];
+  if (restrictions.maxItemWeight) {
+    details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.maxItemWeight`, {
+      weight: formatItemWeight(convertWeightToLbs(
+        restrictions.maxItemWeight.value,
+        restrictions.maxItemWeight.units,
+        getSystemWeightUnit()
+      ))
+    }));
+  }
+  if (restrictions.maxItemSize) {
+    details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.maxItemSize`, {
+      size: getSizeLabel(restrictions.maxItemSize)
+    }));
+  }
+  return details;
+}
+
+function makeMagicDetails(restrictions) {
+  const details = [];
+  if (restrictions.rarityMode !== "any") {
+    details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.rarity.${restrictions.rarityMode}`, {
+      rarity: getRarityLabel(restrictions.rarity)
+    }));
+  }
+  if (restrictions.attunement !== "any") {
+    details.push(game.i18n.localize(`${MODULE_ID}.restrictionMessage.attunement.${restrictions.attunement}`));
+  }
+  if (restrictions.attuned !== "any") {
+    details.push(game.i18n.localize(`${MODULE_ID}.restrictionMessage.attuned.${restrictions.attuned}`));
+  }
+  return details;
+}
+
+function makeRestrictionReason(reason, itemValue) {
+  if (reason === "itemWeight") {
+    return game.i18n.format(`${MODULE_ID}.restrictionMessage.reason.itemWeight`, {
+      weight: formatItemWeight(itemValue)
+    });
+  }
+  if (reason === "itemSize") {
+    return game.i18n.format(`${MODULE_ID}.restrictionMessage.reason.itemSize`, {
+      size: getSizeLabel(itemValue)
+    });
+  }
+  if (reason === "rarity") {
+    return game.i18n.format(`${MODULE_ID}.restrictionMessage.reason.rarity`, {
+      rarity: getRarityLabel(itemValue)
+    });
+  }
+  if (reason === "attunement" || reason === "attuned") {
+    return game.i18n.localize(`${MODULE_ID}.restrictionMessage.reason.${reason}.${itemValue ? "yes" : "no"}`);
+  }
+  return null;
+}
+
+function makeRestrictionDetails(restrictions) {
   const details = [];
   if (restrictions.allowedTypes.length) {
     details.push(game.i18n.format(`${MODULE_ID}.restrictionMessage.types`, {
@@ -62,21 +184,71 @@ function makeRestrictionMessage({ containerName, itemName, restrictions }) {
       { properties: restrictions.forbiddenProperties.join(", ") }
     ));
   }
-  return game.i18n.format(`${MODULE_ID}.restrictionMessage.default`, {
+  return details;
+}
+
+function makeRestrictionMessage({ containerName, itemName, restrictions, reason, itemValue }) {
+  const details = [
+    ...makeItemListDetails(restrictions),
+    ...makeItemLimitDetails(restrictions),
+    ...makeMagicDetails(restrictions),
+    ...(restrictions.ruleTree
+      ? [describeContainerRules(restrictions.ruleTree)]
+      : makeRestrictionDetails(restrictions))
+  ];
+  const reasonText = makeRestrictionReason(reason, itemValue);
+  return game.i18n.format(`${MODULE_ID}.restrictionMessage.${reasonText ? "withReason" : "default"}`, {
     containerName: containerName ?? "Container",
     itemName: itemName ?? "Item",
+    reason: reasonText,
     rules: details.join("; ")
   });
 }
 
 function makeCapacityMessage({
+  type = "weight",
   containerName,
   capacityLbs,
   beforeLbs,
-  deltaLbs
+  deltaLbs,
+  capacityCount,
+  beforeCount,
+  deltaCount,
+  capacityVolume,
+  beforeVolume,
+  deltaVolume,
+  quotaMatch
 }) {
   const custom = (game.settings.get(MODULE_ID, "exceedMessageText") ?? "").trim();
   if (custom) return custom;
+  if (type === "volume") {
+    const key = getSystemVolumeUnit() === "liter"
+      ? `${MODULE_ID}.exceedMessage.volume_l`
+      : `${MODULE_ID}.exceedMessage.volume`;
+    return game.i18n.format(key, {
+      containerName: containerName ?? "Container",
+      before: cubicFeetToDisplay(beforeVolume).toFixed(2),
+      delta: cubicFeetToDisplay(deltaVolume).toFixed(2),
+      capacity: cubicFeetToDisplay(capacityVolume).toFixed(2)
+    });
+  }
+  if (type === "quota") {
+    return game.i18n.format(`${MODULE_ID}.exceedMessage.quota`, {
+      containerName: containerName ?? "Container",
+      match: quotaMatch,
+      before: beforeCount,
+      delta: deltaCount,
+      capacity: capacityCount
+    });
+  }
+  if (type === "count") {
+    return game.i18n.format(`${MODULE_ID}.exceedMessage.count`, {
+      containerName: containerName ?? "Container",
+      before: beforeCount,
+      delta: deltaCount,
+      capacity: capacityCount
+    });
+  }
   const metric = getSystemWeightUnit() === "kg";
   const key = metric
     ? `${MODULE_ID}.exceedMessage.default_kg`
@@ -89,12 +261,92 @@ function makeCapacityMessage({
   });
 }
 
+function getViolationMode(violation) {
+  return violation?.type === "extradimensional"
+    ? game.settings.get(MODULE_ID, "extradimensionalMode")
+    : game.settings.get(MODULE_ID, "enforceMode");
+}
+
+function pickNestingViolation(violations) {
+  return violations.find(violation => getViolationMode(violation) !== "warn") ?? violations[0] ?? null;
+}
+
+function allowsCheckFailure(check) {
+  return getViolationMode(check.nesting) === "warn";
+}
+
+function makeNestingMessage(violation) {
+  const containerName = violation.container?.name ?? "Container";
+  if (violation.type === "extradimensional") {
+    const key = getViolationMode(violation) === "warn" ? "warn" : "blocked";
+    return game.i18n.format(`${MODULE_ID}.extradimensional.${key}`, {
+      inner: violation.item?.name ?? "Item",
+      outer: containerName
+    });
+  }
+  if (violation.type === "depth") {
+    return game.i18n.format(`${MODULE_ID}.nestingMessage.depth`, {
+      containerName,
+      depth: violation.depth,
+      max: violation.maxNestingDepth
+    });
+  }
+  const { allowContainers, allowedContainers } = getContainerNestingRules(violation.container);
+  return game.i18n.format(`${MODULE_ID}.nestingMessage.${allowContainers === "none" ? "none" : "listed"}`, {
+    containerName,
+    itemName: violation.item?.name ?? "Item",
+    kinds: allowedContainers.join(", ")
+  });
+}
+
+function makePartialMessage({
+  containerName,
+  itemName,
+  quantity,
+  fitted,
+  locationName
+}) {
+  return game.i18n.format(`${MODULE_ID}.partialMessage.default`, {
+    containerName: containerName ?? "Container",
+    itemName: itemName ?? "Item",
+    quantity,
+    fitted,
+    remainder: quantity - fitted,
+    location: locationName
+  });
+}
+
+function makeSpillMessage({ containerName, itemName, locationName }) {
+  return game.i18n.format(`${MODULE_ID}.spillMessage.default`, {
+    containerName: containerName ?? "Container",
+    itemName: itemName ?? "Item",
+    location: locationName
+  });
+}
+
+function setChange(changes, path, value) {
+  if (changes.system && typeof changes.system === "object") {
+    foundry.utils.setProperty(changes, path, value);
+  } else {
+    changes[path] = value;
+  }
+}
+
 export function registerEnforcementHooks({ logger, socket }) {
-  const notifyRestriction = ({ actorName, containerName, itemName, restrictions }) => {
+  const notifyRestriction = ({
+    actorName,
+    containerName,
+    itemName,
+    restrictions,
+    reason,
+    itemValue
+  }) => {
     const msg = makeRestrictionMessage({
       containerName,
       itemName,
-      restrictions
+      restrictions,
+      reason,
+      itemValue
     });
     socket.executeForEveryone("notifyExceedRemote", {
       msg,
@@ -111,72 +363,409 @@ export function registerEnforcementHooks({ logger, socket }) {
     });
   };
 
-  const enforceRestrictions = (actor, container, itemData) => {
-    const result = validateContainerRestrictions(container, itemData, {
-      weaponTypeMap: CONFIG.DND5E?.weaponTypeMap ?? {}
-    });
+  const checkRestrictions = (container, itemData) => (
+    validateContainerRestrictions(container, itemData, {
+      weaponTypeMap: CONFIG.DND5E?.weaponTypeMap ?? {},
+      rarityOrder: Object.keys(CONFIG.DND5E?.itemRarity ?? {}),
+      sizeOrder: Object.keys(CONFIG.DND5E?.actorSizes ?? {}),
+      defaultUnit: getSystemWeightUnit()
+    })
+  );
+
+  const enforceRestrictions = (actor, container, itemData, result) => {
     if (result.ok) return true;
     notifyRestriction({
       actorName: actor?.name,
       containerName: container?.name,
       itemName: itemData?.name,
-      restrictions: result.restrictions
+      restrictions: result.restrictions,
+      reason: result.reason,
+      itemValue: result.itemValue
     });
-    return game.settings.get(MODULE_ID, "enforceMode") !== "block";
+    return game.settings.get(MODULE_ID, "enforceMode") === "warn";
   };
 
   const notifyCapacity = violation => {
-    const data = {
-      containerName: violation.container?.name,
-      capacityLbs: violation.capacityLbs,
-      beforeLbs: violation.beforeLbs,
-      deltaLbs: violation.deltaLbs
-    };
+    const data = { type: violation.type, containerName: violation.container?.name };
+    if (violation.type === "quota") {
+      Object.assign(data, {
+        quotaMatch: violation.quota.match,
+        capacityCount: violation.capacityCount,
+        beforeCount: violation.beforeCount,
+        deltaCount: violation.deltaCount
+      });
+    } else if (violation.type === "count") {
+      Object.assign(data, {
+        capacityCount: violation.capacityCount,
+        beforeCount: violation.beforeCount,
+        deltaCount: violation.deltaCount
+      });
+    } else if (violation.type === "volume") {
+      Object.assign(data, {
+        capacityVolume: violation.capacityVolume,
+        beforeVolume: violation.beforeVolume,
+        deltaVolume: violation.deltaVolume
+      });
+    } else {
+      Object.assign(data, {
+        capacityLbs: violation.capacityLbs,
+        beforeLbs: violation.beforeLbs,
+        deltaLbs: violation.deltaLbs
+      });
+    }
     const msg = makeCapacityMessage(data);
     socket.executeForEveryone("notifyExceedRemote", { msg, ...data });
     logger.info("capacity exceeded", data);
   };
 
-  const enforceProjectedItemChange = (item, changes) => {
+  const notifyNesting = violation => {
+    const msg = makeNestingMessage(violation);
+    socket.executeForEveryone("notifyExceedRemote", { msg });
+    logger.info("container nesting violated", {
+      type: violation.type,
+      container: violation.container?.name,
+      item: violation.item?.name
+    });
+  };
+
+  const getLoadOptions = makeLoadOptionsGetter(logger);
+
+  const pickViolation = (violations, projectedActor, candidates) => {
+    for (const candidate of candidates) {
+      const destinationId = candidate.system?.container ?? null;
+      const preferredOrder = destinationId
+        ? collectContainerAncestorIds(projectedActor, destinationId)
+        : [];
+      if (isContainer(candidate)) preferredOrder.push(candidate.id);
+      const violation = preferredOrder
+        .map(containerId => (
+          violations.find(entry => entry.container.id === containerId)
+        ))
+        .find(Boolean);
+      if (violation) return violation;
+    }
+    return violations[0];
+  };
+
+  const makeStackData = (item, quantity, containerId) => {
+    const data = item.toObject();
+    delete data._id;
+    foundry.utils.setProperty(data, "system.quantity", quantity);
+    foundry.utils.setProperty(data, "system.container", containerId);
+    return data;
+  };
+
+  const splitStack = async ({ action, actor, item, changes, fitted, remainder, sourceId }) => {
+    const options = { [MODULE_ID]: { partial: true } };
+    try {
+      if (action === "create") {
+        await actor.createEmbeddedDocuments("Item", [
+          makeStackData(item, fitted, item.system?.container ?? null),
+          makeStackData(item, remainder, null)
+        ], options);
+        return;
+      }
+      const fittedChanges = foundry.utils.deepClone(changes);
+      setChange(fittedChanges, "system.quantity", fitted);
+      const updated = await item.update(fittedChanges, options);
+      if (!updated) return;
+      await actor.createEmbeddedDocuments("Item", [makeStackData(item, remainder, sourceId)], options);
+    } catch (error) {
+      logger.error("Failed to split stack", {
+        actor: actor?.name,
+        item: item?.name,
+        fitted,
+        remainder,
+        error
+      });
+    }
+  };
+
+  const acceptPartially = ({
+    action,
+    actor,
+    current,
+    item,
+    changes,
+    candidate,
+    violation,
+    loadOptions,
+    pending
+  }) => {
+    const quantity = Math.floor(getItemQuantity(candidate));
+    if (isContainer(candidate) || quantity <= 1) {
+      notifyCapacity(violation);
+      return false;
+    }
+    const fitted = findFittingQuantity(current, candidate, loadOptions);
+    if (fitted >= quantity) return;
+    if (fitted === 0) {
+      notifyCapacity(violation);
+      return false;
+    }
+
+    const previousId = action === "update" ? item.system?.container ?? null : null;
+    const sourceId = previousId !== candidate.system?.container ? previousId : null;
+    const source = sourceId ? getItem(actor, sourceId) : null;
+    const msg = makePartialMessage({
+      containerName: violation.container?.name,
+      itemName: candidate.name,
+      quantity,
+      fitted,
+      locationName: source?.name ?? actor.name
+    });
+    socket.executeForEveryone("notifyExceedRemote", { msg });
+    logger.info("stack partially accepted", {
+      container: violation.container?.name,
+      item: candidate.name,
+      quantity,
+      fitted
+    });
+
+    // The original write is cancelled and reissued as fitted part plus remainder,
+    // so a later hook or a failed write can't leave a remainder behind on its own.
+    pending.push({ ...candidate, system: { ...candidate.system, quantity: fitted } });
+    splitStack({ action, actor, item, changes, fitted, remainder: quantity - fitted, sourceId });
+    return false;
+  };
+
+  const spillItem = ({
+    action,
+    actor,
+    current,
+    item,
+    changes,
+    candidate,
+    destination,
+    loadOptions,
+    fallback
+  }) => {
+    const target = findSpillDestination(current, candidate, {
+      ...loadOptions,
+      canAccept: (container, itemData) => checkRestrictions(container, itemData).ok
+    });
+    if (!target) return fallback();
+
+    const msg = makeSpillMessage({
+      containerName: destination?.name,
+      itemName: candidate.name,
+      locationName: target.container?.name ?? actor.name
+    });
+    socket.executeForEveryone("notifyExceedRemote", { msg });
+    logger.info("item spilled to ancestor", {
+      destination: destination?.name,
+      item: candidate.name,
+      target: target.container?.name ?? null
+    });
+
+    if (action === "create") {
+      item.updateSource({ "system.container": target.containerId });
+    } else {
+      setChange(changes, "system.container", target.containerId);
+    }
+  };
+
+  const enforceProjectedItemChange = (item, changes, action, pending = []) => {
     const actor = item?.parent;
     if (!actor) return;
 
-    const candidate = makeItemCandidate(item, changes);
-    const projectedActor = createProjectedActor(actor, candidate);
+    const mode = game.settings.get(MODULE_ID, "enforceMode");
+    const current = pending.length ? createProjectedActor(actor, pending) : actor;
+    const candidate = makeChangeCandidate(item, changes, action);
+    const projectedActor = createProjectedActor(current, candidate);
     const destinationId = candidate.system?.container ?? null;
     const destination = destinationId
       ? getItem(projectedActor, destinationId)
       : null;
+    const loadOptions = getLoadOptions(actor);
 
-    if (destination && !enforceRestrictions(actor, destination, candidate)) {
-      return false;
+    if (destination) {
+      const result = checkRestrictions(destination, candidate);
+      if (!result.ok && mode === "spill") {
+        return spillItem({
+          action,
+          actor,
+          current,
+          item,
+          changes,
+          candidate,
+          destination,
+          loadOptions,
+          fallback: () => {
+            enforceRestrictions(actor, destination, candidate, result);
+            return false;
+          }
+        });
+      }
+      if (!enforceRestrictions(actor, destination, candidate, result)) return false;
     }
 
-    const violations = findCapacityViolations(actor, projectedActor, {
-      includeNested: game.settings.get(MODULE_ID, "includeNested"),
-      defaultUnit: getSystemWeightUnit(),
-      onCycle: containerId => logger.warn("Cycle detected", { containerId })
-    });
+    const nesting = pickNestingViolation(findNestingViolations(current, projectedActor, loadOptions));
+    if (nesting) {
+      notifyNesting(nesting);
+      if (getViolationMode(nesting) !== "warn") return false;
+    }
+
+    const violations = findCapacityViolations(current, projectedActor, loadOptions);
     if (!violations.length) return;
 
-    const preferredOrder = destinationId
-      ? collectContainerAncestorIds(projectedActor, destinationId)
-      : [];
-    if (isContainer(candidate)) preferredOrder.push(candidate.id);
-    const violation = preferredOrder
-      .map(containerId => (
-        violations.find(entry => entry.container.id === containerId)
-      ))
-      .find(Boolean) ?? violations[0];
+    const violation = pickViolation(violations, projectedActor, [candidate]);
+
+    if (mode === "spill") {
+      return spillItem({
+        action,
+        actor,
+        current,
+        item,
+        changes,
+        candidate,
+        destination,
+        loadOptions,
+        fallback: () => {
+          notifyCapacity(violation);
+          return false;
+        }
+      });
+    }
+    if (mode === "partial") {
+      return acceptPartially({
+        action,
+        actor,
+        current,
+        item,
+        changes,
+        candidate,
+        violation,
+        loadOptions,
+        pending
+      });
+    }
 
     notifyCapacity(violation);
-    if (game.settings.get(MODULE_ID, "enforceMode") === "block") return false;
+    if (mode !== "warn") return false;
   };
 
-  Hooks.on("preCreateItem", (item, data) => (
-    enforceProjectedItemChange(item, data)
+  const batchStates = new WeakMap();
+
+  const getBatchState = operation => {
+    if (!operation || typeof operation !== "object") return null;
+    if (!batchStates.has(operation)) {
+      batchStates.set(operation, { pending: [] });
+    }
+    return batchStates.get(operation);
+  };
+
+  const getOperationSize = (action, operation) => (
+    (action === "create" ? operation?.data : operation?.updates)?.length ?? 0
+  );
+
+  const operationChecks = new Set();
+
+  const decidesBatchTogether = (action, operation) => (
+    operationChecks.has(action)
+    && game.settings.get(MODULE_ID, "batchMode") === "all"
+    && ["block", "warn"].includes(game.settings.get(MODULE_ID, "enforceMode"))
+    && getOperationSize(action, operation) > 1
+  );
+
+  const checkItemBatch = (actor, candidates) => {
+    const projectedActor = createProjectedActor(actor, candidates);
+    for (const candidate of candidates) {
+      const destinationId = candidate.system?.container ?? null;
+      const destination = destinationId ? getItem(projectedActor, destinationId) : null;
+      if (!destination) continue;
+      const result = checkRestrictions(destination, candidate);
+      if (!result.ok) {
+        return { ok: false, destination, candidate, restriction: result };
+      }
+    }
+
+    const loadOptions = getLoadOptions(actor);
+    const nesting = pickNestingViolation(findNestingViolations(actor, projectedActor, loadOptions));
+    if (nesting) return { ok: false, nesting };
+
+    const violations = findCapacityViolations(actor, projectedActor, loadOptions);
+    if (!violations.length) return { ok: true };
+    return {
+      ok: false,
+      violation: pickViolation(violations, projectedActor, candidates)
+    };
+  };
+
+  const reportCheckFailure = (actor, check) => {
+    if (check.ok) return;
+    if (check.restriction) {
+      enforceRestrictions(actor, check.destination, check.candidate, check.restriction);
+      return;
+    }
+    if (check.nesting) {
+      notifyNesting(check.nesting);
+      return;
+    }
+    notifyCapacity(check.violation);
+  };
+
+  const decideBatch = (actor, candidates) => {
+    const check = checkItemBatch(actor, candidates);
+    if (check.ok) return undefined;
+    reportCheckFailure(actor, check);
+    logger.info("batch rejected", { actor: actor?.name, size: candidates.length });
+    return allowsCheckFailure(check) ? undefined : false;
+  };
+
+  const enforceItemChange = (item, changes, action, operation) => {
+    const actor = item?.parent;
+    const flags = operation?.[MODULE_ID];
+    if (!actor || flags?.transfer || flags?.rehome || flags?.partial) return;
+    const batch = getBatchState(operation);
+    if (batch && decidesBatchTogether(action, operation)) {
+      batch.together = true;
+      return;
+    }
+
+    const result = enforceProjectedItemChange(
+      item,
+      changes,
+      action,
+      batch?.pending ?? []
+    );
+    if (result !== false && batch) {
+      batch.pending.push(makeChangeCandidate(item, changes, action));
+    }
+    return result;
+  };
+
+  const enforceItemOperation = (documents, operation, action) => {
+    const actor = operation?.parent ?? documents[0]?.parent;
+    const flags = operation?.[MODULE_ID];
+    if (!actor || flags?.transfer || flags?.rehome || flags?.partial) return;
+    if (!getBatchState(operation)?.together) return;
+    const candidates = documents.map(document => (action === "create"
+      ? makeItemCandidate(document)
+      : makeItemCandidate(document, operation.updates.find(update => update?._id === document.id))));
+    return decideBatch(actor, candidates);
+  };
+
+  // The operation step runs after every per-document pre-hook and sees all prepared documents.
+  const wrapItemOperation = (method, action) => {
+    const documentClass = CONFIG.Item?.documentClass;
+    const original = documentClass?.[method];
+    if (typeof original !== "function") return;
+    documentClass[method] = async function(documents, operation, user) {
+      if ((await original.call(this, documents, operation, user)) === false) return false;
+      return enforceItemOperation(documents, operation, action);
+    };
+    operationChecks.add(action);
+  };
+  wrapItemOperation("_preCreateOperation", "create");
+  wrapItemOperation("_preUpdateOperation", "update");
+
+  Hooks.on("preCreateItem", (item, data, options) => (
+    enforceItemChange(item, data, "create", options)
   ));
-  Hooks.on("preUpdateItem", (item, changes) => (
-    enforceProjectedItemChange(item, changes)
+  Hooks.on("preUpdateItem", (item, changes, options) => (
+    enforceItemChange(item, changes, "update", options)
   ));
+
+  return { allowsCheckFailure, checkItemBatch, checkRestrictions, getLoadOptions, reportCheckFailure };
 }
@@ -0,0 +1,83 @@
+import { MODULE_ID } from "../constants.js";
+import {
+  hasContainerRules,
+  makeRulesDocument,
+  makeRulesEntry,
+  makeRulesUpdate,
+  parseRulesDocument,
+  planRulesImport
+} from "../core/exchange.js";
+import { isContainer } from "../core/weight.js";
+
+function collectTargets(target) {
+  if (target instanceof Item) return [{ actor: target.parent ?? null, container: target }];
+  const actors = target instanceof Actor ? [target] : Array.from(game.actors ?? []);
+  const targets = actors.flatMap(actor => Array.from(actor.items ?? [])
+    .filter(isContainer)
+    .map(container => ({ actor, container })));
+  if (target instanceof Actor) return targets;
+  return [
+    ...Array.from(game.items ?? []).filter(isContainer).map(container => ({ actor: null, container })),
+    ...targets
+  ];
+}
+
+function planSingleImport(document, target) {
+  const [entry, ...rest] = document.containers.filter(candidate => candidate.rules);
+  return {
+    plan: entry ? [{ ...target, entry }] : [],
+    skipped: [...document.containers.filter(candidate => !candidate.rules), ...rest]
+  };
+}
+
+function getScope(target) {
+  if (target instanceof Item) return "container";
+  return target instanceof Actor ? "actor" : "world";
+}
+
+export function registerRulesExchange({ logger }) {
+  const exportRules = target => makeRulesDocument(
+    collectTargets(target)
+      .filter(entry => target instanceof Item || hasContainerRules(entry.container))
+      .map(entry => makeRulesEntry(entry.container, entry.actor)),
+    { scope: getScope(target), exportedAt: new Date().toISOString() }
+  );
+
+  const downloadRules = target => {
+    const document = exportRules(target);
+    const name = target?.name ? target.name.slugify?.() ?? target.name : "world";
+    foundry.utils.saveDataToFile(
+      JSON.stringify(document, null, 2),
+      "application/json",
+      `${MODULE_ID}-rules-${name}.json`
+    );
+    return document;
+  };
+
+  const importRules = async (input, target) => {
+    const document = parseRulesDocument(input);
+    const targets = collectTargets(target);
+    const { plan, skipped } = target instanceof Item
+      ? planSingleImport(document, targets[0])
+      : planRulesImport(document, targets);
+
+    const byParent = new Map();
+    for (const { actor, container, entry } of plan) {
+      const updates = byParent.get(actor) ?? [];
+      updates.push({ _id: container.id, ...makeRulesUpdate(entry.rules) });
+      byParent.set(actor, updates);
+    }
+    for (const [actor, updates] of byParent) {
+      const options = { [MODULE_ID]: { rehome: true } };
+      if (actor) await actor.updateEmbeddedDocuments("Item", updates, options);
+      else await Item.implementation.updateDocuments(updates, options);
+    }
+
+    const warnings = plan.flatMap(({ entry }) => entry.warnings.map(key => `${entry.name}: ${key}`));
+    const result = { applied: plan.length, skipped: skipped.map(entry => entry.name), warnings };
+    logger.info("Container rules imported", result);
+    return result;
+  };
+
+  return { exportRules, downloadRules, importRules };
+}
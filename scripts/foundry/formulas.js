@@ -0,0 +1,24 @@
+export function evaluateFormula(formula, rollData = {}) {
+  const source = typeof formula === "string" ? formula.trim() : "";
+  if (!source) return null;
+  try {
+    const expression = Roll.replaceFormulaData(source, rollData, { missing: "0" });
+    const value = Number(Roll.safeEval(expression));
+    return Number.isFinite(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+export function makeFormulaEvaluator(actor) {
+  if (!actor || typeof actor.getRollData !== "function") return null;
+  let rollData = null;
+  const results = new Map();
+  return formula => {
+    if (!results.has(formula)) {
+      rollData ??= actor.getRollData();
+      results.set(formula, evaluateFormula(formula, rollData));
+    }
+    return results.get(formula);
+  };
+}
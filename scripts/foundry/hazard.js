@@ -0,0 +1,56 @@
+import { MODULE_ID } from "../constants.js";
+import { findExtradimensionalPairs, planRift } from "../core/hazard.js";
+
+export function registerExtradimensionalHooks({ logger }) {
+  const postRiftCard = async (actor, pair, policy, plan) => {
+    const content = `
+      <div class="wc-rift-card">
+        <h3><i class="fas fa-hurricane" aria-hidden="true"></i> ${game.i18n.localize(`${MODULE_ID}.extradimensional.riftTitle`)}</h3>
+        <p>${foundry.utils.escapeHTML(game.i18n.format(`${MODULE_ID}.extradimensional.riftMessage`, {
+          inner: pair.inner.name,
+          outer: pair.outer.name
+        }))}</p>
+        <p>${foundry.utils.escapeHTML(game.i18n.format(`${MODULE_ID}.extradimensional.riftPolicy.${policy}`, {
+          count: plan.updates.length + plan.deleteIds.length
+        }))}</p>
+      </div>`;
+    await ChatMessage.implementation.create({
+      content,
+      speaker: ChatMessage.implementation.getSpeaker({ actor })
+    });
+  };
+
+  const openRifts = async actor => {
+    const policy = game.settings.get(MODULE_ID, "riftPolicy");
+    const operation = { [MODULE_ID]: { rehome: true } };
+    for (let attempt = 0; attempt < actor.items.size; attempt += 1) {
+      const [pair] = findExtradimensionalPairs(actor);
+      if (!pair) return;
+      const plan = planRift(actor, pair, { policy });
+      try {
+        if (plan.deleteIds.length) await actor.deleteEmbeddedDocuments("Item", plan.deleteIds, operation);
+        if (plan.updates.length) await actor.updateEmbeddedDocuments("Item", plan.updates, operation);
+        await postRiftCard(actor, pair, policy, plan);
+        logger.info("extradimensional rift opened", {
+          actor: actor.name,
+          inner: pair.inner.name,
+          outer: pair.outer.name,
+          policy
+        });
+      } catch (error) {
+        logger.error("Failed to resolve extradimensional rift", { actor: actor.name, error });
+        return;
+      }
+    }
+  };
+
+  const onItemChanged = (item, options, userId) => {
+    if (userId !== game.user.id || !item?.parent || options?.[MODULE_ID]?.rehome) return;
+    if (game.settings.get(MODULE_ID, "extradimensionalMode") !== "rift") return;
+    if (!findExtradimensionalPairs(item.parent).length) return;
+    openRifts(item.parent);
+  };
+
+  Hooks.on("createItem", (item, options, userId) => onItemChanged(item, options, userId));
+  Hooks.on("updateItem", (item, changes, options, userId) => onItemChanged(item, options, userId));
+}
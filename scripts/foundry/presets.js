@@ -0,0 +1,21 @@
+import { MODULE_ID } from "../constants.js";
+import { normalizePresets, removePreset, upsertPreset } from "../core/presets.js";
+
+export function getRulePresets() {
+  try {
+    return normalizePresets(game.settings.get(MODULE_ID, "rulePresets"));
+  } catch {
+    return {};
+  }
+}
+
+export async function saveRulePreset(name, config) {
+  const { presets, id } = upsertPreset(getRulePresets(), { name, config }, () => foundry.utils.randomID());
+  if (!id) return null;
+  await game.settings.set(MODULE_ID, "rulePresets", presets);
+  return { id, name: presets[id].name };
+}
+
+export async function deleteRulePreset(id) {
+  await game.settings.set(MODULE_ID, "rulePresets", removePreset(getRulePresets(), id));
+}
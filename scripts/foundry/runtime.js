@@ -1,5 +1,20 @@
 import { LOG_LEVELS, MODULE_ID } from "../constants.js";
-import { clamp, getReductionPct, num } from "../core/weight.js";
+import {
+  clamp,
+  getReductionConfig,
+  getReductionPct,
+  hasWeightReduction,
+  num
+} from "../core/weight.js";
+import { makeEffectResolver } from "./effects.js";
+import { makeFormulaEvaluator } from "./formulas.js";
+
+function getOwnerOptions(item) {
+  return {
+    evaluateFormula: makeFormulaEvaluator(item?.parent),
+    resolveEffects: makeEffectResolver(item?.parent)
+  };
+}
 
 export function registerModuleSettings(logger) {
   Hooks.once("init", () => {
@@ -12,10 +27,90 @@ export function registerModuleSettings(logger) {
       type: String,
       choices: {
         block: game.i18n.localize(`${MODULE_ID}.enforceMode.block`),
-        warn: game.i18n.localize(`${MODULE_ID}.enforceMode.warn`)
+        warn: game.i18n.localize(`${MODULE_ID}.enforceMode.warn`),
+        partial: game.i18n.localize(`${MODULE_ID}.enforceMode.partial`),
+        spill: game.i18n.localize(`${MODULE_ID}.enforceMode.spill`)
+      },
+      default: "block"
+    });
+    game.settings.register(MODULE_ID, "batchMode", {
+      name: `${MODULE_ID}.batchMode.name`,
+      hint: `${MODULE_ID}.batchMode.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        item: game.i18n.localize(`${MODULE_ID}.batchMode.item`),
+        all: game.i18n.localize(`${MODULE_ID}.batchMode.all`)
+      },
+      default: "item"
+    });
+    game.settings.register(MODULE_ID, "transferMode", {
+      name: `${MODULE_ID}.transferMode.name`,
+      hint: `${MODULE_ID}.transferMode.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        copy: game.i18n.localize(`${MODULE_ID}.transferMode.copy`),
+        move: game.i18n.localize(`${MODULE_ID}.transferMode.move`)
+      },
+      default: "move"
+    });
+    game.settings.register(MODULE_ID, "deleteContentsPolicy", {
+      name: `${MODULE_ID}.deleteContentsPolicy.name`,
+      hint: `${MODULE_ID}.deleteContentsPolicy.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        parent: game.i18n.localize(`${MODULE_ID}.deleteContentsPolicy.parent`),
+        root: game.i18n.localize(`${MODULE_ID}.deleteContentsPolicy.root`),
+        delete: game.i18n.localize(`${MODULE_ID}.deleteContentsPolicy.delete`),
+        block: game.i18n.localize(`${MODULE_ID}.deleteContentsPolicy.block`)
+      },
+      default: "parent"
+    });
+    game.settings.register(MODULE_ID, "maxNestingDepth", {
+      name: `${MODULE_ID}.maxNestingDepth.name`,
+      hint: `${MODULE_ID}.maxNestingDepth.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: Number,
+      default: 0
+    });
+    game.settings.register(MODULE_ID, "extradimensionalMode", {
+      name: `${MODULE_ID}.extradimensionalMode.name`,
+      hint: `${MODULE_ID}.extradimensionalMode.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        block: game.i18n.localize(`${MODULE_ID}.extradimensionalMode.block`),
+        warn: game.i18n.localize(`${MODULE_ID}.extradimensionalMode.warn`),
+        rift: game.i18n.localize(`${MODULE_ID}.extradimensionalMode.rift`)
       },
       default: "block"
     });
+    game.settings.register(MODULE_ID, "riftPolicy", {
+      name: `${MODULE_ID}.riftPolicy.name`,
+      hint: `${MODULE_ID}.riftPolicy.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        parent: game.i18n.localize(`${MODULE_ID}.riftPolicy.parent`),
+        root: game.i18n.localize(`${MODULE_ID}.riftPolicy.root`),
+        astral: game.i18n.localize(`${MODULE_ID}.riftPolicy.astral`)
+      },
+      default: "parent"
+    });
     game.settings.register(MODULE_ID, "includeNested", {
       name: `${MODULE_ID}.includeNested.name`,
       hint: `${MODULE_ID}.includeNested.hint`,
@@ -25,6 +120,42 @@ export function registerModuleSettings(logger) {
       type: Boolean,
       default: true
     });
+    game.settings.register(MODULE_ID, "countMode", {
+      name: `${MODULE_ID}.countMode.name`,
+      hint: `${MODULE_ID}.countMode.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: String,
+      choices: {
+        quantity: game.i18n.localize(`${MODULE_ID}.countMode.quantity`),
+        stacks: game.i18n.localize(`${MODULE_ID}.countMode.stacks`)
+      },
+      default: "quantity"
+    });
+    game.settings.register(MODULE_ID, "rulePresets", {
+      scope: "world",
+      config: false,
+      restricted: true,
+      type: Object,
+      default: {}
+    });
+    game.settings.register(MODULE_ID, "autoRules", {
+      scope: "world",
+      config: false,
+      restricted: true,
+      type: Array,
+      default: []
+    });
+    game.settings.register(MODULE_ID, "useDefaultAutoRules", {
+      name: `${MODULE_ID}.useDefaultAutoRules.name`,
+      hint: `${MODULE_ID}.useDefaultAutoRules.hint`,
+      scope: "world",
+      config: true,
+      restricted: true,
+      type: Boolean,
+      default: true
+    });
     game.settings.register(MODULE_ID, "logLevel", {
       name: `${MODULE_ID}.logLevel.name`,
       hint: `${MODULE_ID}.logLevel.hint`,
@@ -104,24 +235,40 @@ export function patchContainerDataGetters({
     prototype,
     "contentsWeight"
   );
-  if (contentsDescriptor?.get) {
-    const originalContentsWeight = contentsDescriptor.get;
+  const currencyDescriptor = findPropertyDescriptor(prototype, "currencyWeight");
+  const originalContentsWeight = contentsDescriptor?.get;
+  const originalCurrencyWeight = currencyDescriptor?.get;
+
+  const adjustContentsWeight = (item, rawValue, ownerOptions) => {
+    if (!item.parent || !hasWeightReduction(item, ownerOptions)) return rawValue;
+    const { load, currency } = computeAdjustedLoad(item.parent, item.id);
+    const adjustedLbs = load - currency;
+    const adjustedDisplay = Number(lbsToDisplay(adjustedLbs).toFixed(2));
+    logger.trace("contentsWeight getter override", {
+      container: item.name,
+      raw: rawValue,
+      adjusted: adjustedDisplay,
+      reduction: getReductionPct(item, ownerOptions)
+    });
+    return adjustedDisplay;
+  };
+
+  const adjustCurrencyWeight = (item, rawValue, ownerOptions) => {
+    if (!hasWeightReduction(item, ownerOptions)) return rawValue;
+    if (item.parent) {
+      return Number(lbsToDisplay(computeAdjustedLoad(item.parent, item.id).currency).toFixed(2));
+    }
+    if (getReductionConfig(item, "lb", ownerOptions).mode !== "percent") return rawValue;
+    return Number((num(rawValue, 0) * (1 - getReductionPct(item, ownerOptions) / 100)).toFixed(2));
+  };
+
+  if (originalContentsWeight) {
     Object.defineProperty(prototype, "contentsWeight", {
       get() {
         const rawValue = originalContentsWeight.call(this);
         const item = this.parent;
-        if (!item || getReductionPct(item) === 0 || !item.parent) {
-          return rawValue;
-        }
-        const adjustedLbs = computeAdjustedLoad(item.parent, item.id).load;
-        const adjustedDisplay = Number(lbsToDisplay(adjustedLbs).toFixed(2));
-        logger.trace("contentsWeight getter override", {
-          container: item.name,
-          raw: rawValue,
-          adjusted: adjustedDisplay,
-          reduction: getReductionPct(item)
-        });
-        return adjustedDisplay;
+        if (!item) return rawValue;
+        return adjustContentsWeight(item, rawValue, getOwnerOptions(item));
       },
       configurable: true,
       enumerable: contentsDescriptor.enumerable ?? true
@@ -134,6 +281,22 @@ export function patchContainerDataGetters({
     });
   }
 
+  if (originalCurrencyWeight) {
+    Object.defineProperty(prototype, "currencyWeight", {
+      get() {
+        const rawValue = originalCurrencyWeight.call(this);
+        const item = this.parent;
+        if (!item) return rawValue;
+        return adjustCurrencyWeight(item, rawValue, getOwnerOptions(item));
+      },
+      configurable: true,
+      enumerable: currencyDescriptor.enumerable ?? true
+    });
+    logger.info("Patched ContainerData.currencyWeight getter");
+  } else {
+    logger.debug("currencyWeight getter not found — coins keep their system weight");
+  }
+
   const totalDescriptor = Object.getOwnPropertyDescriptor(
     prototype,
     "totalWeight"
@@ -143,12 +306,18 @@ export function patchContainerDataGetters({
     Object.defineProperty(prototype, "totalWeight", {
       get() {
         const item = this.parent;
-        if (!item || getReductionPct(item) === 0) {
+        if (!item) return originalTotalWeight.call(this);
+        const ownerOptions = getOwnerOptions(item);
+        if (!hasWeightReduction(item, ownerOptions)) {
           return originalTotalWeight.call(this);
         }
         const ownWeight = num(this.weight?.value, 0) * num(this.quantity, 1);
-        const contentsWeight = this.contentsWeight;
-        const currencyWeight = num(this.currencyWeight, 0);
+        const contentsWeight = originalContentsWeight
+          ? adjustContentsWeight(item, originalContentsWeight.call(this), ownerOptions)
+          : this.contentsWeight;
+        const currencyWeight = num(originalCurrencyWeight
+          ? adjustCurrencyWeight(item, originalCurrencyWeight.call(this), ownerOptions)
+          : this.currencyWeight, 0);
         const total = Number((
           ownWeight + contentsWeight + currencyWeight
         ).toFixed(2));
@@ -170,6 +339,14 @@ export function patchContainerDataGetters({
   }
 }
 
+function findPropertyDescriptor(prototype, key) {
+  for (let current = prototype; current; current = Object.getPrototypeOf(current)) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, key);
+    if (descriptor) return descriptor;
+  }
+  return null;
+}
+
 function registerDOMFallback({
   computeAdjustedLoad,
   getCapacityLbs,
@@ -185,7 +362,7 @@ function registerDOMFallback({
     if (!(item instanceof Item)
         || item.type !== "container"
         || !item.parent
-        || getReductionPct(item) === 0) {
+        || !hasWeightReduction(item, getOwnerOptions(item))) {
       return;
     }
 
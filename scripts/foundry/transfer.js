@@ -0,0 +1,114 @@
+import { MODULE_ID } from "../constants.js";
+import { prepareTransferData } from "../core/containers.js";
+import { collectContainerContents, findDropContainerId } from "../core/inventory.js";
+
+export function registerTransferHooks({ logger, enforcement }) {
+  const rollback = async (actor, ids) => {
+    if (!ids.length) return;
+    try {
+      await actor.deleteEmbeddedDocuments("Item", ids, {
+        [MODULE_ID]: { transfer: true }
+      });
+    } catch (error) {
+      logger.error("Transfer rollback failed", { actor: actor?.name, ids, error });
+    }
+  };
+
+  const transferItem = async (item, targetActor, { containerId = null } = {}) => {
+    const sourceActor = item?.parent;
+    if (!sourceActor || !targetActor || sourceActor === targetActor) return null;
+    if (!sourceActor.isOwner || !targetActor.isOwner) {
+      ui.notifications?.warn(game.i18n.format(`${MODULE_ID}.transfer.permission`, {
+        itemName: item.name
+      }));
+      return null;
+    }
+
+    const sources = [item, ...collectContainerContents(sourceActor, item.id)];
+    const data = prepareTransferData(sources.map(entry => entry.toObject()), {
+      containerId,
+      generateId: () => foundry.utils.randomID()
+    });
+    const check = enforcement.checkItemBatch(
+      targetActor,
+      data.map(entry => ({ ...entry, id: entry._id }))
+    );
+    if (!check.ok) {
+      enforcement.reportCheckFailure(targetActor, check);
+      logger.info("transfer rejected", {
+        item: item.name,
+        from: sourceActor.name,
+        to: targetActor.name
+      });
+      if (!enforcement.allowsCheckFailure(check)) return null;
+    }
+
+    const operation = { keepId: true, [MODULE_ID]: { transfer: true } };
+    let created = [];
+    try {
+      created = await targetActor.createEmbeddedDocuments("Item", data, operation);
+      if (created.length !== data.length) {
+        throw new Error(`Created ${created.length} of ${data.length} transferred items`);
+      }
+      await sourceActor.deleteEmbeddedDocuments(
+        "Item",
+        sources.map(entry => entry.id),
+        operation
+      );
+    } catch (error) {
+      logger.error("Item transfer failed; rolling back", {
+        item: item.name,
+        from: sourceActor.name,
+        to: targetActor.name,
+        error
+      });
+      await rollback(targetActor, created.map(entry => entry.id));
+      ui.notifications?.error(game.i18n.format(`${MODULE_ID}.transfer.failed`, {
+        itemName: item.name
+      }));
+      return null;
+    }
+
+    logger.info("item transferred", {
+      item: item.name,
+      from: sourceActor.name,
+      to: targetActor.name,
+      count: created.length
+    });
+    return created;
+  };
+
+  const getDropContainerId = (actor, event) => findDropContainerId(
+    actor,
+    event?.target?.closest?.("[data-item-id]")?.dataset?.itemId ?? null
+  );
+
+  if (typeof libWrapper === "undefined") {
+    logger.error("lib-wrapper not found!");
+    return { transferItem };
+  }
+  try {
+    libWrapper.register(
+      MODULE_ID,
+      "dnd5e.applications.actor.BaseActorSheet.prototype._onDropItem",
+      function wcOnDropItem(wrapped, event, item, ...args) {
+        const actor = this.actor;
+        if (
+          game.settings.get(MODULE_ID, "transferMode") !== "move"
+          || !(item instanceof Item)
+          || !(item.parent instanceof Actor)
+          || item.parent === actor
+        ) {
+          return wrapped(event, item, ...args);
+        }
+        return transferItem(item, actor, { containerId: getDropContainerId(actor, event) });
+      },
+      "MIXED"
+    );
+    logger.info("libWrapper: actor sheet item drop patched");
+  } catch (error) {
+    logger.error("Failed to register libWrapper for actor sheet item drops", error);
+  }
+
+  return { transferItem };
+}
@@ -0,0 +1,56 @@
+import { CUBIC_FEET_PER_LITER, DEFAULT_COINS_PER_WEIGHT, LBS_PER_KG, MODULE_ID } from "../constants.js";
+import { num } from "../core/weight.js";
+import { makeEffectResolver } from "./effects.js";
+import { makeFormulaEvaluator } from "./formulas.js";
+
+export function getSystemWeightUnit() {
+  try {
+    return game.settings.get("dnd5e", "metricWeightUnits") ? "kg" : "lb";
+  } catch {
+    return "lb";
+  }
+}
+
+export function getSystemVolumeUnit() {
+  try {
+    return game.settings.get("dnd5e", "metricVolumeUnits") ? "liter" : "cubicFoot";
+  } catch {
+    return "cubicFoot";
+  }
+}
+
+export function getCoinsPerWeight() {
+  let enabled = true;
+  try {
+    enabled = game.settings.get("dnd5e", "currencyWeight");
+  } catch {}
+  if (!enabled) return 0;
+  const perWeight = CONFIG.DND5E?.encumbrance?.currencyPerWeight ?? {};
+  return getSystemWeightUnit() === "kg"
+    ? num(perWeight.metric, DEFAULT_COINS_PER_WEIGHT.metric)
+    : num(perWeight.imperial, DEFAULT_COINS_PER_WEIGHT.imperial);
+}
+
+export function lbsToDisplay(value) {
+  return getSystemWeightUnit() === "kg" ? value / LBS_PER_KG : value;
+}
+
+export function cubicFeetToDisplay(value) {
+  return getSystemVolumeUnit() === "liter" ? value / CUBIC_FEET_PER_LITER : value;
+}
+
+export function makeLoadOptionsGetter(logger) {
+  return (actor = null) => ({
+    includeNested: game.settings.get(MODULE_ID, "includeNested"),
+    defaultUnit: getSystemWeightUnit(),
+    defaultVolumeUnit: getSystemVolumeUnit(),
+    countMode: game.settings.get(MODULE_ID, "countMode"),
+    weaponTypeMap: CONFIG.DND5E?.weaponTypeMap ?? {},
+    coinsPerWeight: getCoinsPerWeight(),
+    maxNestingDepth: game.settings.get(MODULE_ID, "maxNestingDepth"),
+    extradimensional: game.settings.get(MODULE_ID, "extradimensionalMode") !== "rift",
+    evaluateFormula: makeFormulaEvaluator(actor),
+    resolveEffects: makeEffectResolver(actor),
+    onCycle: containerId => logger.warn("Cycle detected", { containerId })
+  });
+}
@@ -2,58 +2,115 @@
 // Weighty Containers - Foundry VTT v14.363 / dnd5e 5.3.3
 // ─────────────────────────────────────────────────────────
 
+import { MODULE_ID, PREVIEW_BASE_WEIGHT } from "./constants.js";
 import {
-  LBS_PER_KG,
-  MODULE_ID,
-  PREVIEW_BASE_WEIGHT
-} from "./constants.js";
-import {
-  buildContainerIndex,
   computeActorCarriedLbs as computeActorCarriedLbsCore,
   computeAdjustedLoad as computeAdjustedLoadCore,
-  getItem
+  createProjectedActor,
+  findNonconformingContents,
+  planContentEjection
 } from "./core/containers.js";
+import { buildContainerIndex, getItem } from "./core/inventory.js";
+import { findPresetByName, getDriftedSections } from "./core/presets.js";
+import { getAutoRuleTarget } from "./core/autorules.js";
+import { parseRulesDocument } from "./core/exchange.js";
+import { isExtradimensional } from "./core/hazard.js";
+import { CONTAINER_NESTING_MODES, getContainerNestingRules } from "./core/nesting.js";
 import {
+  ATTUNED_MODES,
+  ATTUNEMENT_MODES,
+  DEFAULT_RARITY_ORDER,
+  DEFAULT_SIZE_ORDER,
+  RARITY_MODES,
+  RULE_GROUP_OPS,
+  RULE_MATCH_MODES,
+  RULE_PREDICATE_KINDS,
+  flatRestrictionsToRuleTree,
+  getContainerQuotas,
   getContainerRestrictions,
-  normalizeToken,
-  parseTokenList,
+  getGrandfatheredIds,
+  isRuleTreeEmpty,
+  normalizeQuotas,
+  normalizeRuleTree,
+  parseEntryList,
   validateContainerRestrictions as validateContainerRestrictionsCore
 } from "./core/restrictions.js";
+import {
+  getContainerCategoryReductions,
+  normalizeCategoryReductions,
+  normalizeToken,
+  parseTokenList
+} from "./core/tokens.js";
 import {
   clamp,
+  convertWeightToLbs,
+  INCLUDE_NESTED_MODES,
+  REDUCTION_MODES,
+  applyReduction,
   getCapacityLbs as resolveCapacityLbs,
+  getFormulaRules,
+  getIncludeNestedMode,
+  getReductionConfig,
   getReductionPct,
+  getReductionRules,
   isContainer,
+  normalizeReductionTiers,
   num
 } from "./core/weight.js";
 import { LOG } from "./foundry/logger.js";
 import { WCSocket } from "./foundry/socket.js";
-import { registerEnforcementHooks } from "./foundry/enforcement.js";
+import { registerInventoryAudit } from "./foundry/audit.js";
+import { registerRulesExchange } from "./foundry/exchange.js";
+import { registerExtradimensionalHooks } from "./foundry/hazard.js";
+import {
+  deleteAutoRule,
+  findUserAutoRule,
+  registerAutoRules,
+  saveAutoRule
+} from "./foundry/autorules.js";
+import { deleteRulePreset, getRulePresets, saveRulePreset } from "./foundry/presets.js";
+import { registerDeletionHooks } from "./foundry/deletion.js";
+import { evaluateFormula, makeFormulaEvaluator } from "./foundry/formulas.js";
+import { effectTouchesContainers, makeEffectResolver } from "./foundry/effects.js";
+import {
+  describeContainerRules,
+  makeItemCandidate,
+  registerEnforcementHooks
+} from "./foundry/enforcement.js";
+import { registerTransferHooks } from "./foundry/transfer.js";
 import { installDebugApi } from "./foundry/debug.js";
 import {
   patchContainerDataGetters,
   registerEncumbrancePatch,
   registerModuleSettings
 } from "./foundry/runtime.js";
+import {
+  cubicFeetToDisplay,
+  getSystemVolumeUnit,
+  getSystemWeightUnit,
+  lbsToDisplay,
+  makeLoadOptionsGetter
+} from "./foundry/units.js";
 
 const wcSocket = new WCSocket(LOG);
 
 // ══════════════════════ Unit Conversion ══════════════════════
 
-function getSystemWeightUnit() {
-  try {
-    return game.settings.get("dnd5e", "metricWeightUnits") ? "kg" : "lb";
-  } catch {
-    return "lb";
-  }
-}
-
 function isMetricUnit() {
   return getSystemWeightUnit() === "kg";
 }
 
-function lbsToDisplay(lbs) {
-  return isMetricUnit() ? lbs / LBS_PER_KG : lbs;
+function formatMeasure(measure, value) {
+  const round = amount => Math.round(amount * 100) / 100;
+  if (measure === "weight") {
+    return `${round(lbsToDisplay(value))} ${isMetricUnit() ? "kg" : "lb"}`;
+  }
+  if (measure === "volume") {
+    return getSystemVolumeUnit() === "liter"
+      ? `${round(cubicFeetToDisplay(value))} L`
+      : `${round(value)} ft³`;
+  }
+  return String(value);
 }
 
 function _escapeHtml(value) {
@@ -348,14 +405,334 @@ function renderRuleMultiselect({ name, groups, selectedValues, placeholder }) {
     </div>`;
 }
 
+const ITEM_LIST_KEYS = [
+  "allowedIdentifiers",
+  "allowedNames",
+  "allowedSources",
+  "deniedIdentifiers",
+  "deniedNames",
+  "deniedSources"
+];
+
+function parseItemListEntries(key, values) {
+  return key.endsWith("Identifiers") ? Array.from(new Set(parseTokenList(values))) : parseEntryList(values);
+}
+
+function getItemListEntryLabel(key, value) {
+  if (!key.endsWith("Sources")) return value;
+  try {
+    return fromUuidSync(value)?.name ?? value;
+  } catch {
+    return value;
+  }
+}
+
+function getRarityChoices() {
+  const rarities = Object.entries(CONFIG.DND5E?.itemRarity ?? {});
+  if (!rarities.length) {
+    return Object.fromEntries(DEFAULT_RARITY_ORDER.map(rarity => [rarity, rarity]));
+  }
+  return Object.fromEntries(rarities.map(([key, label]) => [
+    normalizeToken(key),
+    localizeConfigLabel(label?.label ?? label, key)
+  ]));
+}
+
+function getSizeChoices() {
+  const sizes = Object.entries(CONFIG.DND5E?.actorSizes ?? {});
+  if (!sizes.length) return Object.fromEntries(DEFAULT_SIZE_ORDER.map(size => [size, size]));
+  return Object.fromEntries(sizes.map(([key, size]) => [
+    normalizeToken(key),
+    localizeConfigLabel(size?.label ?? size, key)
+  ]));
+}
+
+function getWeightDraft(weight) {
+  if (!weight) return "";
+  const lbs = convertWeightToLbs(weight.value, weight.units, getSystemWeightUnit());
+  return Math.round(lbsToDisplay(lbs) * 100) / 100;
+}
+
+function makeWeightFlag(value) {
+  return num(value, 0) > 0 ? { value: num(value, 0), units: getSystemWeightUnit() } : null;
+}
+
+function getModeChoices(modes, prefix) {
+  return Object.fromEntries(modes.map(mode => [
+    mode,
+    game.i18n.localize(`${MODULE_ID}.configDialog.${prefix}.${mode}`)
+  ]));
+}
+
+function getRuleNode(tree, path) {
+  if (!path) return tree;
+  return path.split(".").reduce((node, index) => node?.rules?.[Number(index)] ?? null, tree);
+}
+
+function renderRuleTreeNode(node, path = "") {
+  const label = key => _escapeHtml(game.i18n.localize(`${MODULE_ID}.ruleTree.${key}`));
+  const pathAttr = `data-rule-path="${path}"`;
+  const options = (values, selected, prefix) => values.map(value => (
+    `<option value="${value}"${value === selected ? " selected" : ""}>${label(`${prefix}.${value}`)}</option>`
+  )).join("");
+  const remove = path ? `
+    <button type="button" class="cr-icon-button" data-action="removeRule" ${pathAttr} title="${label("remove")}">
+      <i class="fas fa-trash" aria-hidden="true"></i>
+    </button>` : "";
+
+  if (!node.rules) {
+    return `
+      <div class="cr-rule-predicate">
+        <select data-rule-field="kind" ${pathAttr}>${options(RULE_PREDICATE_KINDS, node.kind, "kind")}</select>
+        <select data-rule-field="match" ${pathAttr}>${options(RULE_MATCH_MODES, node.match, "match")}</select>
+        <input type="text" data-rule-field="values" ${pathAttr} value="${_escapeHtml(node.values.join(", "))}"
+               placeholder="${label("valuesPlaceholder")}">
+        ${remove}
+      </div>`;
+  }
+
+  const children = node.rules
+    .map((rule, index) => renderRuleTreeNode(rule, path ? `${path}.${index}` : String(index)))
+    .join("");
+  return `
+    <div class="cr-rule-group" data-op="${node.op}">
+      <div class="cr-rule-group-header">
+        <select data-rule-field="op" ${pathAttr}>${options(RULE_GROUP_OPS, node.op, "op")}</select>
+        <button type="button" data-action="addRule" ${pathAttr}>
+          <i class="fas fa-plus" aria-hidden="true"></i> ${label("addRule")}
+        </button>
+        <button type="button" data-action="addRuleGroup" ${pathAttr}>
+          <i class="fas fa-folder-plus" aria-hidden="true"></i> ${label("addGroup")}
+        </button>
+        ${remove}
+      </div>
+      <div class="cr-rule-children">${children || `<p class="cr-hint">${label("emptyGroup")}</p>`}</div>
+    </div>`;
+}
+
+function renderQuotaRows(quotas) {
+  const label = key => _escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.quotas.${key}`));
+  const rows = quotas.map((quota, index) => `
+    <div class="cr-quota-row">
+      <input type="text" data-quota-field="match" data-quota-index="${index}" value="${_escapeHtml(quota.match)}"
+             placeholder="${label("matchPlaceholder")}">
+      <input type="number" data-quota-field="max" data-quota-index="${index}" value="${_escapeHtml(quota.max)}"
+             min="0" step="1" placeholder="${label("maxPlaceholder")}">
+      <button type="button" class="cr-icon-button" data-action="removeQuota" data-quota-index="${index}"
+              title="${label("remove")}">
+        <i class="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    </div>`).join("");
+  return rows || `<p class="cr-hint">${label("empty")}</p>`;
+}
+
+function renderCategoryReductionRows(entries) {
+  const label = key => _escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.categoryReductions.${key}`));
+  const rows = entries.map((entry, index) => `
+    <div class="cr-quota-row">
+      <input type="text" data-category-field="match" data-category-index="${index}" value="${_escapeHtml(entry.match)}"
+             placeholder="${label("matchPlaceholder")}">
+      <span class="cr-number-control">
+        <input type="number" data-category-field="pct" data-category-index="${index}" value="${_escapeHtml(entry.pct)}"
+               min="0" max="100" step="1">
+        <span>%</span>
+      </span>
+      <button type="button" class="cr-icon-button" data-action="removeCategoryReduction" data-category-index="${index}"
+              title="${label("remove")}">
+        <i class="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    </div>`).join("");
+  return rows || `<p class="cr-hint">${label("empty")}</p>`;
+}
+
+function renderTierRows(tiers) {
+  const label = key => _escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.reductionTiers.${key}`));
+  const rows = tiers.map((tier, index) => `
+    <div class="cr-tier-row">
+      <span>${label("upTo")}</span>
+      <input type="number" data-tier-field="upTo" data-tier-index="${index}" value="${_escapeHtml(tier.upTo)}"
+             min="0" step="any" placeholder="${label("rest")}">
+      <span>${_escapeHtml(getSystemWeightUnit())}</span>
+      <input type="number" data-tier-field="pct" data-tier-index="${index}" value="${_escapeHtml(tier.pct)}"
+             min="0" max="100" step="1">
+      <span>%</span>
+      <button type="button" class="cr-icon-button" data-action="removeTier" data-tier-index="${index}"
+              title="${label("remove")}">
+        <i class="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    </div>`).join("");
+  return rows || `<p class="cr-hint">${label("empty")}</p>`;
+}
+
+function getReductionDraft(containerItem) {
+  const rules = getReductionRules(containerItem);
+  return {
+    reductionMode: rules.reductionMode,
+    reductionAmount: getWeightDraft(rules.reductionAmount),
+    reductionCap: getWeightDraft(rules.reductionCap),
+    reductionTiers: rules.reductionTiers.map(tier => ({
+      upTo: tier.upTo == null ? "" : getWeightDraft({ value: tier.upTo, units: tier.units }),
+      pct: tier.pct
+    }))
+  };
+}
+
+function makeReductionFlags(config) {
+  const units = getSystemWeightUnit();
+  return {
+    reductionMode: REDUCTION_MODES.includes(config.reductionMode) ? config.reductionMode : "percent",
+    reductionPct: clamp(Math.round(num(config.reductionPct, 0)), 0, 100),
+    reductionAmount: makeWeightFlag(config.reductionAmount),
+    reductionCap: makeWeightFlag(config.reductionCap),
+    reductionTiers: normalizeReductionTiers((config.reductionTiers ?? []).map(tier => ({ ...tier, units }))),
+    categoryReductions: normalizeCategoryReductions(config.categoryReductions)
+  };
+}
+
+function getFormulaDraft(containerItem) {
+  const rules = getFormulaRules(containerItem);
+  return {
+    reductionFormula: rules.reductionFormula ?? "",
+    capacityFormula: rules.capacityFormula ?? ""
+  };
+}
+
+function makeFormulaFlags(config) {
+  return getFormulaRules({ flags: { [MODULE_ID]: config } });
+}
+
+function getContainerPreset(containerItem) {
+  const preset = containerItem?.flags?.[MODULE_ID]?.preset;
+  return preset?.id ? { id: String(preset.id), name: String(preset.name ?? "") } : null;
+}
+
+function makeContainerDraft(containerItem) {
+  const restrictions = getContainerRestrictions(containerItem);
+  return {
+    reductionPct: getReductionPct(containerItem),
+    ...getReductionDraft(containerItem),
+    categoryReductions: getContainerCategoryReductions(containerItem),
+    ...getFormulaDraft(containerItem),
+    extradimensional: containerItem?.flags?.[MODULE_ID]?.extradimensional === true,
+    includeNested: getIncludeNestedMode(containerItem),
+    allowedTypes: [...restrictions.allowedTypes],
+    allowedSubtypes: [...restrictions.allowedSubtypes],
+    requiredProperties: [...restrictions.requiredProperties],
+    forbiddenProperties: [...restrictions.forbiddenProperties],
+    propertyMatchMode: restrictions.propertyMatchMode,
+    ...Object.fromEntries(ITEM_LIST_KEYS.map(key => [key, [...restrictions[key]]])),
+    rarityMode: restrictions.rarityMode,
+    rarity: restrictions.rarity,
+    attunement: restrictions.attunement,
+    attuned: restrictions.attuned,
+    maxItemWeight: getWeightDraft(restrictions.maxItemWeight),
+    maxItemSize: restrictions.maxItemSize,
+    quotas: getContainerQuotas(containerItem),
+    ...getNestingDraft(containerItem),
+    useRuleTree: Boolean(restrictions.ruleTree),
+    ruleTree: restrictions.ruleTree ?? flatRestrictionsToRuleTree(restrictions),
+    preset: getContainerPreset(containerItem)
+  };
+}
+
+function getNestingDraft(containerItem) {
+  const nesting = getContainerNestingRules(containerItem);
+  return {
+    maxNestingDepth: nesting.maxNestingDepth ?? "",
+    allowContainers: nesting.allowContainers,
+    allowedContainers: nesting.allowedContainers
+  };
+}
+
+function makeNestingFlags(config) {
+  return getContainerNestingRules({ flags: { [MODULE_ID]: config } });
+}
+
+function makeIncludeNestedFlag(config) {
+  return getIncludeNestedMode({ flags: { [MODULE_ID]: { includeNested: config.includeNested } } });
+}
+
+function makeDraftSnapshot(draft) {
+  return {
+    reductionPct: clamp(Math.round(num(draft.reductionPct, 0)), 0, 100),
+    reductionMode: makeReductionFlags(draft).reductionMode,
+    reductionAmount: Math.max(0, num(draft.reductionAmount, 0)),
+    reductionCap: Math.max(0, num(draft.reductionCap, 0)),
+    reductionTiers: normalizeReductionTiers(draft.reductionTiers).map(({ upTo, pct }) => ({ upTo, pct })),
+    categoryReductions: normalizeCategoryReductions(draft.categoryReductions),
+    ...makeFormulaFlags(draft),
+    extradimensional: Boolean(draft.extradimensional),
+    includeNested: makeIncludeNestedFlag(draft),
+    allowedTypes: [...draft.allowedTypes].sort(),
+    allowedSubtypes: [...draft.allowedSubtypes].sort(),
+    requiredProperties: [...draft.requiredProperties].sort(),
+    forbiddenProperties: [...draft.forbiddenProperties].sort(),
+    propertyMatchMode: draft.propertyMatchMode,
+    ...Object.fromEntries(ITEM_LIST_KEYS.map(key => [key, [...draft[key]].sort()])),
+    rarityMode: draft.rarityMode,
+    rarity: draft.rarity,
+    attunement: draft.attunement,
+    attuned: draft.attuned,
+    maxItemWeight: Math.max(0, num(draft.maxItemWeight, 0)),
+    maxItemSize: draft.maxItemSize,
+    quotas: normalizeQuotas(draft.quotas),
+    ...makeNestingFlags(draft),
+    ruleTree: draft.useRuleTree ? normalizeRuleTree(draft.ruleTree) : null
+  };
+}
+
+function makeDraftFromSnapshot(snapshot) {
+  const config = foundry.utils.deepClone(snapshot);
+  return {
+    ...config,
+    maxItemWeight: config.maxItemWeight || "",
+    reductionMode: makeReductionFlags(config).reductionMode,
+    reductionAmount: config.reductionAmount || "",
+    reductionCap: config.reductionCap || "",
+    reductionTiers: (config.reductionTiers ?? []).map(tier => ({ upTo: tier.upTo ?? "", pct: tier.pct })),
+    categoryReductions: normalizeCategoryReductions(config.categoryReductions),
+    ...getFormulaDraft({ flags: { [MODULE_ID]: config } }),
+    includeNested: makeIncludeNestedFlag(config),
+    ...getNestingDraft({ flags: { [MODULE_ID]: config } }),
+    useRuleTree: Boolean(config.ruleTree),
+    ruleTree: config.ruleTree ?? flatRestrictionsToRuleTree(config)
+  };
+}
+
 function makeContainerConfigUpdate(config) {
   return {
-    [`flags.${MODULE_ID}.reductionPct`]: clamp(Math.round(num(config.reductionPct, 0)), 0, 100),
+    ...Object.fromEntries(Object.entries(makeReductionFlags(config)).map(([key, value]) => [
+      `flags.${MODULE_ID}.${key}`,
+      value
+    ])),
+    ...Object.fromEntries(Object.entries(makeFormulaFlags(config)).map(([key, value]) => [
+      `flags.${MODULE_ID}.${key}`,
+      value
+    ])),
+    [`flags.${MODULE_ID}.extradimensional`]: Boolean(config.extradimensional),
+    [`flags.${MODULE_ID}.includeNested`]: makeIncludeNestedFlag(config),
     [`flags.${MODULE_ID}.allowedTypes`]: parseTokenList(config.allowedTypes),
     [`flags.${MODULE_ID}.allowedSubtypes`]: parseTokenList(config.allowedSubtypes),
     [`flags.${MODULE_ID}.requiredProperties`]: parseTokenList(config.requiredProperties),
     [`flags.${MODULE_ID}.forbiddenProperties`]: parseTokenList(config.forbiddenProperties),
-    [`flags.${MODULE_ID}.propertyMatchMode`]: config.propertyMatchMode === "any" ? "any" : "all"
+    [`flags.${MODULE_ID}.propertyMatchMode`]: config.propertyMatchMode === "any" ? "any" : "all",
+    ...Object.fromEntries(ITEM_LIST_KEYS.map(key => [
+      `flags.${MODULE_ID}.${key}`,
+      parseItemListEntries(key, config[key])
+    ])),
+    [`flags.${MODULE_ID}.rarityMode`]: normalizeToken(config.rarity) ? config.rarityMode : "any",
+    [`flags.${MODULE_ID}.rarity`]: normalizeToken(config.rarity),
+    [`flags.${MODULE_ID}.attunement`]: config.attunement,
+    [`flags.${MODULE_ID}.attuned`]: config.attuned,
+    [`flags.${MODULE_ID}.maxItemWeight`]: makeWeightFlag(config.maxItemWeight),
+    [`flags.${MODULE_ID}.maxItemSize`]: normalizeToken(config.maxItemSize),
+    [`flags.${MODULE_ID}.quotas`]: normalizeQuotas(config.quotas),
+    ...Object.fromEntries(Object.entries(makeNestingFlags(config)).map(([key, value]) => [
+      `flags.${MODULE_ID}.${key}`,
+      value
+    ])),
+    [`flags.${MODULE_ID}.preset`]: config.preset?.id ? { id: config.preset.id, name: config.preset.name } : null,
+    [`flags.${MODULE_ID}.ruleTree`]: config.useRuleTree ? normalizeRuleTree(config.ruleTree) : null
   };
 }
 
@@ -367,16 +744,42 @@ function containerConfigMatches(containerItem, config) {
     return a.length === b.length && a.every((value, index) => value === b[index]);
   };
   return getReductionPct(containerItem) === clamp(Math.round(num(config.reductionPct, 0)), 0, 100)
+    && JSON.stringify(getReductionRules(containerItem))
+      === JSON.stringify(getReductionRules({ flags: { [MODULE_ID]: makeReductionFlags(config) } }))
+    && JSON.stringify(getContainerCategoryReductions(containerItem))
+      === JSON.stringify(normalizeCategoryReductions(config.categoryReductions))
+    && JSON.stringify(getFormulaRules(containerItem)) === JSON.stringify(makeFormulaFlags(config))
+    && isExtradimensional(containerItem) === Boolean(config.extradimensional)
+    && getIncludeNestedMode(containerItem) === makeIncludeNestedFlag(config)
     && sameTokens(saved.allowedTypes, config.allowedTypes)
     && sameTokens(saved.allowedSubtypes, config.allowedSubtypes)
     && sameTokens(saved.requiredProperties, config.requiredProperties)
     && sameTokens(saved.forbiddenProperties, config.forbiddenProperties)
-    && saved.propertyMatchMode === (config.propertyMatchMode === "any" ? "any" : "all");
+    && saved.propertyMatchMode === (config.propertyMatchMode === "any" ? "any" : "all")
+    && saved.rarityMode === (normalizeToken(config.rarity) ? config.rarityMode : "any")
+    && saved.rarity === normalizeToken(config.rarity)
+    && saved.attunement === config.attunement
+    && saved.attuned === config.attuned
+    && (saved.maxItemWeight?.value ?? 0) === Math.max(0, num(config.maxItemWeight, 0))
+    && saved.maxItemSize === normalizeToken(config.maxItemSize)
+    && JSON.stringify(getContainerQuotas(containerItem)) === JSON.stringify(normalizeQuotas(config.quotas))
+    && (getContainerPreset(containerItem)?.id ?? null) === (config.preset?.id ?? null)
+    && JSON.stringify(getContainerNestingRules(containerItem)) === JSON.stringify(makeNestingFlags(config))
+    && ITEM_LIST_KEYS.every(key => (
+      JSON.stringify([...saved[key]].sort())
+        === JSON.stringify(parseItemListEntries(key, config[key]).sort())
+    ))
+    && JSON.stringify(saved.ruleTree) === JSON.stringify(
+      config.useRuleTree ? normalizeRuleTree(config.ruleTree) : null
+    );
 }
 
 function validateContainerRestrictions(containerItem, itemData) {
   return validateContainerRestrictionsCore(containerItem, itemData, {
-    weaponTypeMap: CONFIG.DND5E?.weaponTypeMap ?? {}
+    weaponTypeMap: CONFIG.DND5E?.weaponTypeMap ?? {},
+    rarityOrder: Object.keys(CONFIG.DND5E?.itemRarity ?? {}),
+    sizeOrder: Object.keys(CONFIG.DND5E?.actorSizes ?? {}),
+    defaultUnit: getSystemWeightUnit()
   });
 }
 
@@ -384,7 +787,10 @@ function validateContainerRestrictions(containerItem, itemData) {
  * dnd5e 5.3.x: system.capacity = { count, volume: {...}, weight: { value, units } }
  */
 function getCapacityLbs(containerItem) {
-  const capacityLbs = resolveCapacityLbs(containerItem, getSystemWeightUnit());
+  const capacityLbs = resolveCapacityLbs(containerItem, getSystemWeightUnit(), {
+    evaluateFormula: makeFormulaEvaluator(containerItem?.parent),
+    resolveEffects: makeEffectResolver(containerItem?.parent)
+  });
   if (capacityLbs == null) {
     LOG.debug("capacity not resolved", {
       item: containerItem?.name,
@@ -396,26 +802,29 @@ function getCapacityLbs(containerItem) {
 
 // ══════════════════════ Index & Load Calculation ══════════════════════
 
+const getLoadOptions = makeLoadOptionsGetter(LOG);
+
 function computeAdjustedLoad(actor, containerId, idx = null, memo = null, visited = null) {
   return computeAdjustedLoadCore(actor, containerId, {
-    includeNested: game.settings.get(MODULE_ID, "includeNested"),
-    defaultUnit: getSystemWeightUnit(),
+    ...getLoadOptions(actor),
     index: idx,
     memo,
-    visited,
-    onCycle: cycleId => LOG.warn("Cycle detected", { containerId: cycleId })
+    visited
   });
 }
 
 function computeActorCarriedLbs(actor) {
-  return computeActorCarriedLbsCore(actor, {
-    includeNested: game.settings.get(MODULE_ID, "includeNested"),
-    defaultUnit: getSystemWeightUnit(),
-    onCycle: containerId => LOG.warn("Cycle detected", { containerId })
-  });
+  return computeActorCarriedLbsCore(actor, getLoadOptions(actor));
 }
 
 registerModuleSettings(LOG);
+const inventoryAudit = registerInventoryAudit({
+  logger: LOG,
+  getLoadOptions,
+  validateContainerRestrictions,
+  formatMeasure
+});
+const rulesExchange = registerRulesExchange({ logger: LOG });
 
 // ══════════════════════ Ready ══════════════════════
 
@@ -434,13 +843,23 @@ Hooks.once("ready", () => {
     computeActorCarriedLbs,
     lbsToDisplay
   });
-  registerEnforcementHooks({ logger: LOG, socket: wcSocket });
+  registerAutoRules({ logger: LOG });
+  registerExtradimensionalHooks({ logger: LOG });
+  const enforcement = registerEnforcementHooks({ logger: LOG, socket: wcSocket });
+  const { transferItem } = registerTransferHooks({ logger: LOG, enforcement });
+  registerDeletionHooks({ logger: LOG, enforcement });
   _registerUIHooks();
   installDebugApi({
     computeActorCarriedLbs,
     computeAdjustedLoad,
     getCapacityLbs,
     lbsToDisplay,
+    openAudit: inventoryAudit.openAudit,
+    runAudit: inventoryAudit.runAudit,
+    exportRules: rulesExchange.exportRules,
+    downloadRules: rulesExchange.downloadRules,
+    importRules: rulesExchange.importRules,
+    transferItem,
     validateContainerRestrictions
   });
 
@@ -519,6 +938,27 @@ function _registerUIHooks() {
 
   Hooks.on("createItem", onItemChange);
   Hooks.on("deleteItem", onItemChange);
+
+  const onEffectChange = (effect, changes = {}) => {
+    if (!effectTouchesContainers(effect) && !effectTouchesContainers(changes)) return;
+    const parent = effect.parent;
+    const actor = parent instanceof Actor ? parent : parent?.parent;
+    const containers = parent instanceof Item && !effect.transfer
+      ? [parent]
+      : Array.from(actor?.items ?? []).filter(isContainer);
+    for (const container of containers) {
+      if (container?.sheet?.rendered) {
+        debouncedRender(`item:${container.id}`, () => renderApplication(container.sheet, false));
+      }
+    }
+    if (actor instanceof Actor) {
+      debouncedRender(`actor:${actor.id}`, () => renderApplication(actor.sheet, false));
+    }
+  };
+
+  Hooks.on("createActiveEffect", effect => onEffectChange(effect));
+  Hooks.on("updateActiveEffect", (effect, changes) => onEffectChange(effect, changes));
+  Hooks.on("deleteActiveEffect", effect => onEffectChange(effect));
 }
 
 function _ensureInlineGear(app, element) {
@@ -568,12 +1008,28 @@ class ContainerRulesApp extends ContainerRulesApplication {
       handler: ContainerRulesApp._onSubmit
     },
     actions: {
+      addRule: ContainerRulesApp._addRule,
+      addRuleGroup: ContainerRulesApp._addRuleGroup,
+      addListEntry: ContainerRulesApp._addListEntry,
+      addCategoryReduction: ContainerRulesApp._addCategoryReduction,
+      addQuota: ContainerRulesApp._addQuota,
+      addTier: ContainerRulesApp._addTier,
+      applyPreset: ContainerRulesApp._applyPreset,
       cancel: ContainerRulesApp._cancel,
       clearSelect: ContainerRulesApp._clearSelect,
+      deletePreset: ContainerRulesApp._deletePreset,
       deselectVisible: ContainerRulesApp._deselectVisible,
+      exportRules: ContainerRulesApp._exportRules,
+      importRules: ContainerRulesApp._importRules,
+      removeListEntry: ContainerRulesApp._removeListEntry,
+      removeCategoryReduction: ContainerRulesApp._removeCategoryReduction,
+      removeQuota: ContainerRulesApp._removeQuota,
+      removeTier: ContainerRulesApp._removeTier,
+      removeRule: ContainerRulesApp._removeRule,
       removeSelection: ContainerRulesApp._removeSelection,
       removeUnavailable: ContainerRulesApp._removeUnavailable,
       resolveConflict: ContainerRulesApp._resolveConflict,
+      savePreset: ContainerRulesApp._savePreset,
       scrollSection: ContainerRulesApp._scrollSection,
       selectVisible: ContainerRulesApp._selectVisible,
       showUnavailable: ContainerRulesApp._showUnavailable,
@@ -595,15 +1051,9 @@ class ContainerRulesApp extends ContainerRulesApplication {
       window: { ...options.window, title }
     });
     this.containerItem = containerItem;
-    const restrictions = getContainerRestrictions(containerItem);
-    this.draft = {
-      reductionPct: getReductionPct(containerItem),
-      allowedTypes: [...restrictions.allowedTypes],
-      allowedSubtypes: [...restrictions.allowedSubtypes],
-      requiredProperties: [...restrictions.requiredProperties],
-      forbiddenProperties: [...restrictions.forbiddenProperties],
-      propertyMatchMode: restrictions.propertyMatchMode
-    };
+    this.draft = makeContainerDraft(containerItem);
+    this.autoRuleTarget = getAutoRuleTarget(containerItem.toObject?.() ?? containerItem);
+    this.draft.autoApply = Boolean(findUserAutoRule(this.autoRuleTarget));
     this.catalogs = {
       allowedTypes: getRuleItemTypeGroups(),
       allowedSubtypes: getRuleSubtypeGroups(),
@@ -625,12 +1075,51 @@ class ContainerRulesApp extends ContainerRulesApplication {
       ...context,
       containerName: this.containerItem.name,
       reductionPct: this.draft.reductionPct,
-      previewBefore: PREVIEW_BASE_WEIGHT,
-      previewAfter: Math.max(0, PREVIEW_BASE_WEIGHT * (1 - this.draft.reductionPct / 100)).toLocaleString(game.i18n.lang, {
-        maximumFractionDigits: 1
-      }),
+      reductionMode: this.draft.reductionMode,
+      reductionModeChoices: getModeChoices(REDUCTION_MODES, "reductionMode"),
+      reductionFields: Object.fromEntries(["percent", "fixed", "capped", "tiered"].map(field => [
+        field,
+        this._showsReductionField(field)
+      ])),
+      reductionAmount: this.draft.reductionAmount,
+      reductionCap: this.draft.reductionCap,
+      tierEditor: renderTierRows(this.draft.reductionTiers),
+      categoryReductionEditor: renderCategoryReductionRows(this.draft.categoryReductions),
+      reductionFormula: this.draft.reductionFormula,
+      capacityFormula: this.draft.capacityFormula,
+      formulaResults: this._getFormulaResults(),
+      ...this._getPreview(),
       modeAll: this.draft.propertyMatchMode === "all",
       modeAny: this.draft.propertyMatchMode === "any",
+      useRuleTree: this.draft.useRuleTree,
+      ruleTreeEditor: renderRuleTreeNode(this.draft.ruleTree),
+      rarityMode: this.draft.rarityMode,
+      rarity: this.draft.rarity,
+      attunement: this.draft.attunement,
+      attuned: this.draft.attuned,
+      rarityModeChoices: getModeChoices(RARITY_MODES, "rarityMode"),
+      rarityChoices: getRarityChoices(),
+      attunementChoices: getModeChoices(ATTUNEMENT_MODES, "attunement"),
+      attunedChoices: getModeChoices(ATTUNED_MODES, "attuned"),
+      maxItemWeight: this.draft.maxItemWeight,
+      maxItemSize: this.draft.maxItemSize,
+      sizeChoices: getSizeChoices(),
+      quotaEditor: renderQuotaRows(this.draft.quotas),
+      maxNestingDepth: this.draft.maxNestingDepth,
+      defaultNestingDepth: game.settings.get(MODULE_ID, "maxNestingDepth") || "∞",
+      allowContainers: this.draft.allowContainers,
+      allowContainersChoices: getModeChoices(CONTAINER_NESTING_MODES, "allowContainers"),
+      allowedContainers: parseTokenList(this.draft.allowedContainers).join(", "),
+      presetOptions: this._renderPresetOptions(),
+      autoApply: this.draft.autoApply,
+      extradimensional: this.draft.extradimensional,
+      includeNested: this.draft.includeNested,
+      includeNestedChoices: getModeChoices(INCLUDE_NESTED_MODES, "includeNested"),
+      defaultIncludeNested: game.i18n.localize(
+        `${MODULE_ID}.configDialog.includeNested.${game.settings.get(MODULE_ID, "includeNested") ? "yes" : "no"}`
+      ),
+      canAutoApply: Boolean(this.autoRuleTarget),
+      weightUnit: getSystemWeightUnit(),
       allowedTypesSelect: renderRuleMultiselect({
         name: "allowedTypes",
         groups: this.catalogs.allowedTypes,
@@ -714,6 +1203,178 @@ class ContainerRulesApp extends ContainerRulesApplication {
     await this._save();
   }
 
+  static _addRule(event, target) {
+    const group = getRuleNode(this.draft.ruleTree, target.dataset.rulePath);
+    group?.rules?.push({ kind: "type", match: "any", values: [] });
+    this._refreshRuleTree();
+  }
+
+  static _addRuleGroup(event, target) {
+    const group = getRuleNode(this.draft.ruleTree, target.dataset.rulePath);
+    group?.rules?.push({ op: "or", rules: [] });
+    this._refreshRuleTree();
+  }
+
+  static _removeRule(event, target) {
+    const path = target.dataset.rulePath.split(".");
+    const index = Number(path.pop());
+    getRuleNode(this.draft.ruleTree, path.join("."))?.rules?.splice(index, 1);
+    this._refreshRuleTree();
+  }
+
+  static _addQuota() {
+    this.draft.quotas = [...this.draft.quotas, { match: "", max: "" }];
+    this._refreshQuotas();
+  }
+
+  static _removeQuota(event, target) {
+    const index = Number(target.dataset.quotaIndex);
+    this.draft.quotas = this.draft.quotas.filter((quota, position) => position !== index);
+    this._refreshQuotas();
+  }
+
+  static _addCategoryReduction() {
+    this.draft.categoryReductions = [...this.draft.categoryReductions, { match: "", pct: 100 }];
+    this._refreshCategoryReductions();
+  }
+
+  static _removeCategoryReduction(event, target) {
+    const index = Number(target.dataset.categoryIndex);
+    this.draft.categoryReductions = this.draft.categoryReductions.filter((entry, position) => position !== index);
+    this._refreshCategoryReductions();
+  }
+
+  static _addTier() {
+    this.draft.reductionTiers = [...this.draft.reductionTiers, { upTo: "", pct: 100 }];
+    this._refreshTiers();
+  }
+
+  static _removeTier(event, target) {
+    const index = Number(target.dataset.tierIndex);
+    this.draft.reductionTiers = this.draft.reductionTiers.filter((tier, position) => position !== index);
+    this._refreshTiers();
+  }
+
+  static _applyPreset() {
+    const id = this.element.querySelector("[data-preset-select]")?.value;
+    const preset = getRulePresets()[id];
+    if (!preset) return;
+    this.draft = {
+      ...makeDraftFromSnapshot(preset.config),
+      preset: { id, name: preset.name },
+      autoApply: this.draft.autoApply
+    };
+    return this.render();
+  }
+
+  static async _savePreset() {
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(`${MODULE_ID}.presets.saveTitle`) },
+      content: `
+        <label>${_escapeHtml(game.i18n.localize(`${MODULE_ID}.presets.name`))}
+          <input type="text" name="presetName" value="${_escapeHtml(this.draft.preset?.name ?? this.containerItem.name)}" autofocus>
+        </label>`,
+      ok: {
+        label: game.i18n.localize(`${MODULE_ID}.presets.save`),
+        callback: (event, button) => button.form.elements.presetName.value
+      },
+      rejectClose: false
+    });
+    if (!name?.trim()) return;
+    const existing = findPresetByName(getRulePresets(), name);
+    if (existing && existing.id !== this.draft.preset?.id) {
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize(`${MODULE_ID}.presets.saveTitle`) },
+        content: `<p>${_escapeHtml(game.i18n.format(`${MODULE_ID}.presets.overwrite`, { name: existing.name }))}</p>`,
+        rejectClose: false
+      });
+      if (!confirmed) return;
+    }
+    try {
+      this.draft.preset = await saveRulePreset(name, makeDraftSnapshot(this.draft));
+    } catch (error) {
+      LOG.error("Failed to save rule preset", { name, error });
+      ui.notifications?.error(game.i18n.localize(`${MODULE_ID}.presets.saveFailed`));
+      return;
+    }
+    ui.notifications?.info(game.i18n.format(`${MODULE_ID}.presets.saved`, { name: this.draft.preset.name }));
+    this._refreshPresets();
+  }
+
+  static async _deletePreset() {
+    const id = this.element.querySelector("[data-preset-select]")?.value;
+    const preset = getRulePresets()[id];
+    if (!preset) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize(`${MODULE_ID}.presets.deleteTitle`) },
+      content: `<p>${_escapeHtml(game.i18n.format(`${MODULE_ID}.presets.deleteConfirm`, { name: preset.name }))}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+    await deleteRulePreset(id);
+    this._refreshPresets();
+  }
+
+  static _addListEntry(event, target) {
+    const list = target.dataset.list;
+    const input = target.dataset.value == null
+      ? this.element.querySelector(`[data-item-list-value="${list}"]`)
+      : null;
+    const kind = target.dataset.kind ?? this.element.querySelector(`[data-item-list-kind="${list}"]`)?.value;
+    if (this._pushListEntry(`${list}${kind}`, target.dataset.value ?? input?.value) && input) input.value = "";
+  }
+
+  static _removeListEntry(event, target) {
+    const key = target.dataset.key;
+    if (!ITEM_LIST_KEYS.includes(key)) return;
+    this.draft[key] = this.draft[key].filter(value => value !== target.dataset.value);
+    this._refreshItemLists();
+    this._afterDraftChange();
+  }
+
+  static _exportRules() {
+    rulesExchange.downloadRules(this.containerItem);
+  }
+
+  static async _importRules() {
+    const file = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(`${MODULE_ID}.exchange.importTitle`) },
+      content: `
+        <p>${_escapeHtml(game.i18n.localize(`${MODULE_ID}.exchange.importHint`))}</p>
+        <input type="file" name="rulesFile" accept=".json,application/json">`,
+      ok: {
+        label: game.i18n.localize(`${MODULE_ID}.exchange.import`),
+        callback: (event, button) => button.form.elements.rulesFile.files?.[0] ?? null
+      },
+      rejectClose: false
+    });
+    if (!file) return;
+    let entry;
+    try {
+      entry = parseRulesDocument(await foundry.utils.readTextFromFile(file))
+        .containers.find(candidate => candidate.rules);
+    } catch (error) {
+      LOG.warn("Rejected container rules import", { file: file.name, error });
+      ui.notifications?.error(game.i18n.format(`${MODULE_ID}.exchange.invalid`, { error: error.message }));
+      return;
+    }
+    if (!entry) {
+      ui.notifications?.warn(game.i18n.localize(`${MODULE_ID}.exchange.empty`));
+      return;
+    }
+    if (entry.warnings.length) {
+      ui.notifications?.warn(game.i18n.format(`${MODULE_ID}.exchange.warnings`, {
+        fields: entry.warnings.join(", ")
+      }));
+    }
+    this.draft = {
+      ...makeContainerDraft({ flags: { [MODULE_ID]: entry.rules } }),
+      preset: this.draft.preset,
+      autoApply: this.draft.autoApply
+    };
+    return this.render();
+  }
+
   static _cancel(event, target) {
     return this.close();
   }
@@ -771,6 +1432,11 @@ class ContainerRulesApp extends ContainerRulesApplication {
 
   _onInput(event) {
     const target = event.target;
+    if (target.matches("[data-item-search]")) {
+      clearTimeout(this._itemSearchTimer);
+      this._itemSearchTimer = setTimeout(() => this._searchCompendiumItems(target.value), 250);
+      return;
+    }
     if (target.matches("[data-select-search]")) {
       this._applySelectFilter(target.closest(".cr-multiselect"));
       return;
@@ -781,12 +1447,69 @@ class ContainerRulesApp extends ContainerRulesApplication {
     for (const input of this.element.querySelectorAll('[name="reductionPct"], [name="reductionRange"]')) {
       if (input !== target) input.value = value;
     }
-    this._refreshPreview();
     this._afterDraftChange();
   }
 
   _onChange(event) {
     const target = event.target;
+    if (target.matches("[data-draft-field]")) {
+      this.draft[target.name] = target.value;
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches('[name="reductionMode"]')) {
+      this.draft.reductionMode = target.value;
+      this._refreshReductionMode();
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches("[data-tier-field]")) {
+      const tier = this.draft.reductionTiers[Number(target.dataset.tierIndex)];
+      if (!tier) return;
+      tier[target.dataset.tierField] = target.value;
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches("[data-category-field]")) {
+      const entry = this.draft.categoryReductions[Number(target.dataset.categoryIndex)];
+      if (!entry) return;
+      entry[target.dataset.categoryField] = target.dataset.categoryField === "match"
+        ? normalizeToken(target.value)
+        : target.value;
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches("[data-quota-field]")) {
+      const quota = this.draft.quotas[Number(target.dataset.quotaIndex)];
+      if (!quota) return;
+      quota[target.dataset.quotaField] = target.dataset.quotaField === "match"
+        ? normalizeToken(target.value)
+        : target.value;
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches('[name="autoApply"], [name="extradimensional"]')) {
+      this.draft[target.name] = target.checked;
+      this._afterDraftChange();
+      return;
+    }
+    if (target.matches('[name="useRuleTree"]')) {
+      this.draft.useRuleTree = target.checked;
+      if (target.checked && isRuleTreeEmpty(this.draft.ruleTree)) {
+        this.draft.ruleTree = flatRestrictionsToRuleTree(this.draft);
+      }
+      this._refreshRuleTree();
+      return;
+    }
+    if (target.matches("[data-rule-field]")) {
+      const node = getRuleNode(this.draft.ruleTree, target.dataset.rulePath);
+      if (!node) return;
+      const field = target.dataset.ruleField;
+      node[field] = field === "values" ? Array.from(new Set(parseTokenList(target.value))) : target.value;
+      if (field === "values") this._afterDraftChange();
+      else this._refreshRuleTree();
+      return;
+    }
     if (target.matches('[name="propertyMatchMode"]')) {
       this.draft.propertyMatchMode = target.value === "any" ? "any" : "all";
       this._afterDraftChange();
@@ -823,6 +1546,13 @@ class ContainerRulesApp extends ContainerRulesApplication {
   }
 
   _onKeyDown(event) {
+    if (event.key === "Enter" && event.target.matches?.("[data-item-list-value], [data-item-search]")) {
+      event.preventDefault();
+      if (event.target.dataset.itemListValue) {
+        this.element.querySelector(`[data-action="addListEntry"][data-list="${event.target.dataset.itemListValue}"]`)?.click();
+      }
+      return;
+    }
     if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "s") {
       event.preventDefault();
       this.submit();
@@ -875,15 +1605,149 @@ class ContainerRulesApp extends ContainerRulesApplication {
 
   _snapshot() {
     return JSON.stringify({
-      reductionPct: this.draft.reductionPct,
-      allowedTypes: [...this.draft.allowedTypes].sort(),
-      allowedSubtypes: [...this.draft.allowedSubtypes].sort(),
-      requiredProperties: [...this.draft.requiredProperties].sort(),
-      forbiddenProperties: [...this.draft.forbiddenProperties].sort(),
-      propertyMatchMode: this.draft.propertyMatchMode
+      ...makeDraftSnapshot(this.draft),
+      preset: this.draft.preset?.id ?? null,
+      autoApply: Boolean(this.draft.autoApply)
     });
   }
 
+  _pushListEntry(key, value) {
+    if (!ITEM_LIST_KEYS.includes(key)) return false;
+    const [entry] = parseItemListEntries(key, [value]);
+    if (!entry || this.draft[key].includes(entry)) return false;
+    this.draft[key] = [...this.draft[key], entry];
+    this._refreshItemLists();
+    this._afterDraftChange();
+    return true;
+  }
+
+  _refreshItemLists() {
+    for (const list of ["allowed", "denied"]) {
+      const container = this.element.querySelector(`[data-item-list="${list}"]`);
+      if (!container) continue;
+      const chips = ITEM_LIST_KEYS.filter(key => key.startsWith(list)).flatMap(key => (
+        this.draft[key].map(value => `
+          <button type="button" class="cr-chip" data-action="removeListEntry"
+                  data-key="${key}" data-value="${_escapeHtml(value)}" title="${_escapeHtml(value)}">
+            <i class="fas ${key.endsWith("Sources") ? "fa-book" : key.endsWith("Names") ? "fa-font" : "fa-fingerprint"}"
+               aria-hidden="true"></i>
+            <span>${_escapeHtml(getItemListEntryLabel(key, value))}</span><i class="fas fa-xmark" aria-hidden="true"></i>
+          </button>`)
+      ));
+      container.innerHTML = chips.length
+        ? chips.join("")
+        : `<span class="cr-placeholder">${_escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.itemLists.empty`))}</span>`;
+    }
+  }
+
+  async _searchCompendiumItems(query) {
+    const results = this.element?.querySelector("[data-item-search-results]");
+    if (!results) return;
+    const needle = String(query ?? "").trim().toLocaleLowerCase(game.i18n.lang);
+    const search = Symbol("itemSearch");
+    this._itemSearch = search;
+    if (needle.length < 2) {
+      results.replaceChildren();
+      return;
+    }
+
+    const matches = [];
+    for (const pack of game.packs ?? []) {
+      if (pack.documentName !== "Item" || matches.length >= 25) continue;
+      const index = await pack.getIndex();
+      for (const entry of index) {
+        if (!entry.name?.toLocaleLowerCase(game.i18n.lang).includes(needle)) continue;
+        matches.push({
+          uuid: entry.uuid ?? `Compendium.${pack.collection}.Item.${entry._id}`,
+          name: entry.name,
+          pack: pack.title
+        });
+        if (matches.length >= 25) break;
+      }
+    }
+    if (this._itemSearch !== search) return;
+
+    const button = (list, uuid) => `
+      <button type="button" data-action="addListEntry" data-list="${list}" data-kind="Sources"
+              data-value="${_escapeHtml(uuid)}">
+        ${_escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.itemLists.${list}Action`))}
+      </button>`;
+    results.innerHTML = matches.length
+      ? matches.map(match => `
+        <div class="cr-item-search-row">
+          <span class="cr-option-label">${_escapeHtml(match.name)}</span>
+          <small>${_escapeHtml(match.pack)}</small>
+          ${button("allowed", match.uuid)}${button("denied", match.uuid)}
+        </div>`).join("")
+      : `<p class="cr-hint">${_escapeHtml(game.i18n.localize(`${MODULE_ID}.configDialog.itemLists.noResults`))}</p>`;
+  }
+
+  _renderPresetOptions() {
+    const selected = this.draft.preset?.id;
+    return Object.entries(getRulePresets())
+      .sort(([, left], [, right]) => left.name.localeCompare(right.name, game.i18n.lang))
+      .map(([id, preset]) => (
+        `<option value="${_escapeHtml(id)}"${id === selected ? " selected" : ""}>${_escapeHtml(preset.name)}</option>`
+      ))
+      .join("");
+  }
+
+  _refreshPresets() {
+    const select = this.element.querySelector("[data-preset-select]");
+    if (select) {
+      select.innerHTML = `<option value="">${_escapeHtml(game.i18n.localize(`${MODULE_ID}.presets.choose`))}</option>`
+        + this._renderPresetOptions();
+    }
+    this._afterDraftChange();
+  }
+
+  _refreshPresetStatus() {
+    const status = this.element.querySelector("[data-preset-status]");
+    if (!status) return;
+    const current = this.draft.preset;
+    const preset = current ? getRulePresets()[current.id] : null;
+    let text = game.i18n.localize(`${MODULE_ID}.presets.none`);
+    let drifted = false;
+    if (current && !preset) {
+      text = game.i18n.format(`${MODULE_ID}.presets.missing`, { name: current.name });
+    } else if (preset) {
+      const sections = getDriftedSections(preset.config, makeDraftSnapshot(this.draft));
+      drifted = sections.length > 0;
+      text = drifted
+        ? game.i18n.format(`${MODULE_ID}.presets.drifted`, {
+          name: preset.name,
+          sections: sections.map(section => (
+            game.i18n.localize(`${MODULE_ID}.configDialog.sections.${section}`)
+          )).join(", ")
+        })
+        : game.i18n.format(`${MODULE_ID}.presets.matches`, { name: preset.name });
+    }
+    status.textContent = text;
+    status.classList.toggle("is-drifted", drifted);
+  }
+
+  _refreshCategoryReductions() {
+    const editor = this.element.querySelector("[data-category-list]");
+    if (editor) editor.innerHTML = renderCategoryReductionRows(this.draft.categoryReductions);
+    this._afterDraftChange();
+  }
+
+  _refreshQuotas() {
+    const editor = this.element.querySelector("[data-quota-list]");
+    if (editor) editor.innerHTML = renderQuotaRows(this.draft.quotas);
+    this._afterDraftChange();
+  }
+
+  _refreshRuleTree() {
+    this.element.querySelector(".cr-main")?.classList.toggle("uses-rule-tree", this.draft.useRuleTree);
+    const editor = this.element.querySelector("[data-rule-tree]");
+    if (editor) {
+      editor.hidden = !this.draft.useRuleTree;
+      editor.innerHTML = renderRuleTreeNode(this.draft.ruleTree);
+    }
+    this._afterDraftChange();
+  }
+
   _setSelection(name, values) {
     if (!Object.hasOwn(this.draft, name)) return;
     this.draft[name] = Array.from(new Set(parseTokenList(values)));
@@ -926,6 +1790,8 @@ class ContainerRulesApp extends ContainerRulesApplication {
     this._applySelectFilter(this._selectRoot("allowedSubtypes"));
     this._refreshSubtypeWarning();
     this._refreshPropertyConflicts();
+    this._refreshItemLists();
+    this._refreshPresetStatus();
     this._refreshPreview();
     this._refreshSummary();
     this._refreshBadges();
@@ -1094,10 +1960,125 @@ class ContainerRulesApp extends ContainerRulesApplication {
     }
   }
 
+  _showsReductionField(field) {
+    const mode = this.draft.reductionMode;
+    return field === "percent" ? ["percent", "capped"].includes(mode) : field === mode;
+  }
+
+  _getPreview() {
+    const format = value => value.toLocaleString(game.i18n.lang, { maximumFractionDigits: 1 });
+    const reduction = {
+      ...makeReductionFlags(this.draft),
+      reductionFormula: makeFormulaFlags(this.draft).reductionFormula
+    };
+    const actor = this.containerItem.parent;
+    const currentItem = actor?.items?.get(this.containerItem.id);
+    let before = 0;
+    let after = 0;
+    if (currentItem) {
+      const loadOptions = getLoadOptions(actor);
+      const loadWith = (flags, options = loadOptions) => {
+        const candidate = makeItemCandidate(currentItem, Object.fromEntries(Object.entries({
+          ...flags,
+          includeNested: makeIncludeNestedFlag(this.draft)
+        }).map(([key, value]) => [`flags.${MODULE_ID}.${key}`, value])));
+        return computeAdjustedLoadCore(createProjectedActor(actor, candidate), candidate.id, options).load;
+      };
+      before = loadWith({
+        ...reduction,
+        reductionMode: "percent",
+        reductionPct: 0,
+        reductionFormula: null,
+        categoryReductions: []
+      }, {
+        ...loadOptions,
+        resolveEffects: container => (container.id === currentItem.id ? [] : loadOptions.resolveEffects(container))
+      });
+      after = loadWith(reduction);
+    }
+    if (before <= 0) {
+      const sampleLbs = convertWeightToLbs(PREVIEW_BASE_WEIGHT, getSystemWeightUnit());
+      const config = getReductionConfig({ flags: { [MODULE_ID]: reduction } }, getSystemWeightUnit(), {
+        evaluateFormula: makeFormulaEvaluator(actor),
+        resolveEffects: makeEffectResolver(actor)
+      });
+      return {
+        previewLabel: game.i18n.localize(`${MODULE_ID}.configDialog.previewWeight`),
+        previewBefore: format(PREVIEW_BASE_WEIGHT),
+        previewAfter: format(Math.max(0, lbsToDisplay(applyReduction(sampleLbs, config))))
+      };
+    }
+    return {
+      previewLabel: game.i18n.localize(`${MODULE_ID}.configDialog.previewContents`),
+      previewBefore: format(lbsToDisplay(before)),
+      previewAfter: format(Math.max(0, lbsToDisplay(after)))
+    };
+  }
+
+  _getFormulaResults() {
+    const rules = makeFormulaFlags(this.draft);
+    const actor = this.containerItem.parent;
+    const rollData = actor?.getRollData?.() ?? null;
+    const format = (formula, suffix) => {
+      if (!formula) return "";
+      if (!rollData) return game.i18n.localize(`${MODULE_ID}.configDialog.formulas.noActor`);
+      const value = evaluateFormula(formula, rollData);
+      if (value == null) return game.i18n.localize(`${MODULE_ID}.configDialog.formulas.invalid`);
+      return `= ${value.toLocaleString(game.i18n.lang, { maximumFractionDigits: 2 })} ${suffix}`;
+    };
+    return {
+      reductionFormula: format(rules.reductionFormula, "%"),
+      capacityFormula: format(rules.capacityFormula, getSystemWeightUnit())
+    };
+  }
+
+  _refreshFormulaResults() {
+    for (const [key, text] of Object.entries(this._getFormulaResults())) {
+      const output = this.element.querySelector(`[data-formula-result="${key}"]`);
+      if (output) output.textContent = text;
+    }
+  }
+
+  _describeReduction() {
+    const unit = getSystemWeightUnit();
+    const key = `${MODULE_ID}.configDialog.summary.reductionMode`;
+    const { reductionMode, reductionPct, reductionAmount, reductionCap, reductionTiers } = makeReductionFlags(this.draft);
+    if (reductionMode === "fixed") {
+      return game.i18n.format(`${key}.fixed`, { weight: `${reductionAmount?.value ?? 0} ${unit}` });
+    }
+    if (reductionMode === "capped" && reductionCap) {
+      return game.i18n.format(`${key}.capped`, { pct: reductionPct, weight: `${reductionCap.value} ${unit}` });
+    }
+    if (reductionMode === "tiered") {
+      const tiers = reductionTiers.map(tier => game.i18n.format(`${key}.tier`, {
+        weight: tier.upTo == null ? "∞" : `${tier.upTo} ${unit}`,
+        pct: tier.pct
+      }));
+      return game.i18n.format(`${key}.tiered`, { tiers: tiers.join(", ") || "—" });
+    }
+    return game.i18n.format(`${MODULE_ID}.configDialog.summary.reduction`, { pct: reductionPct });
+  }
+
+  _refreshReductionMode() {
+    for (const fields of this.element.querySelectorAll("[data-reduction-fields]")) {
+      fields.hidden = !this._showsReductionField(fields.dataset.reductionFields);
+    }
+  }
+
+  _refreshTiers() {
+    const editor = this.element.querySelector("[data-tier-list]");
+    if (editor) editor.innerHTML = renderTierRows(this.draft.reductionTiers);
+    this._afterDraftChange();
+  }
+
   _refreshPreview() {
-    const after = Math.max(0, PREVIEW_BASE_WEIGHT * (1 - this.draft.reductionPct / 100));
+    const preview = this._getPreview();
     const value = this.element.querySelector("[data-preview-after]");
-    const formatted = after.toLocaleString(game.i18n.lang, { maximumFractionDigits: 1 });
+    const formatted = preview.previewAfter;
+    const before = this.element.querySelector("[data-preview-before]");
+    if (before) before.textContent = preview.previewBefore;
+    const label = this.element.querySelector("[data-preview-label]");
+    if (label) label.textContent = preview.previewLabel;
     const changed = value?.textContent !== formatted;
     if (value) value.textContent = formatted;
     const range = this.element.querySelector('[name="reductionRange"]');
@@ -1117,7 +2098,22 @@ class ContainerRulesApp extends ContainerRulesApplication {
     const subtypeLabels = this._selectionLabels("allowedSubtypes").map(entry => entry.label);
     const requiredLabels = this._selectionLabels("requiredProperties").map(entry => entry.label);
     const forbiddenLabels = this._selectionLabels("forbiddenProperties").map(entry => entry.label);
-    const lines = [game.i18n.format(`${MODULE_ID}.configDialog.summary.reduction`, { pct: this.draft.reductionPct })];
+    const lines = [this._describeReduction()];
+    for (const [key, formula] of Object.entries(makeFormulaFlags(this.draft))) {
+      if (formula) lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.${key}`, { formula }));
+    }
+    const categoryReductions = normalizeCategoryReductions(this.draft.categoryReductions);
+    if (categoryReductions.length) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.categoryReductions`, {
+        values: categoryReductions.map(entry => `${entry.match} ${entry.pct}%`).join(", ")
+      }));
+    }
+    if (this.draft.extradimensional) {
+      lines.push(game.i18n.localize(`${MODULE_ID}.configDialog.summary.extradimensional`));
+    }
+    if (this.draft.includeNested !== "inherit") {
+      lines.push(game.i18n.localize(`${MODULE_ID}.configDialog.summary.includeNested.${this.draft.includeNested}`));
+    }
     lines.push(typeLabels.length
       ? game.i18n.format(`${MODULE_ID}.configDialog.summary.types`, { values: typeLabels.join(", ") })
       : game.i18n.localize(`${MODULE_ID}.configDialog.summary.anyTypes`));
@@ -1134,6 +2130,60 @@ class ContainerRulesApp extends ContainerRulesApplication {
     if (!requiredLabels.length && !forbiddenLabels.length) {
       lines.push(game.i18n.localize(`${MODULE_ID}.configDialog.summary.noProperties`));
     }
+    if (this.draft.useRuleTree) {
+      lines.splice(1, lines.length - 1, isRuleTreeEmpty(this.draft.ruleTree)
+        ? game.i18n.localize(`${MODULE_ID}.configDialog.summary.anyTypes`)
+        : game.i18n.format(`${MODULE_ID}.configDialog.summary.ruleTree`, {
+          rules: describeContainerRules(normalizeRuleTree(this.draft.ruleTree))
+        }));
+    }
+    if (num(this.draft.maxItemWeight, 0) > 0) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.maxItemWeight`, {
+        weight: this.draft.maxItemWeight,
+        unit: getSystemWeightUnit()
+      }));
+    }
+    if (this.draft.maxItemSize) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.maxItemSize`, {
+        size: getSizeChoices()[this.draft.maxItemSize] ?? this.draft.maxItemSize
+      }));
+    }
+    const nesting = makeNestingFlags(this.draft);
+    if (nesting.maxNestingDepth != null) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.maxNestingDepth`, {
+        depth: nesting.maxNestingDepth
+      }));
+    }
+    if (nesting.allowContainers === "none") {
+      lines.push(game.i18n.localize(`${MODULE_ID}.configDialog.summary.noContainers`));
+    } else if (nesting.allowContainers === "listed") {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.listedContainers`, {
+        values: nesting.allowedContainers.join(", ") || "—"
+      }));
+    }
+    const quotas = normalizeQuotas(this.draft.quotas);
+    if (quotas.length) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.quotas`, {
+        values: quotas.map(quota => `${quota.match} ≤ ${quota.max}`).join(", ")
+      }));
+    }
+    if (this.draft.rarityMode !== "any" && this.draft.rarity) {
+      lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.rarity`, {
+        mode: game.i18n.localize(`${MODULE_ID}.configDialog.rarityMode.${this.draft.rarityMode}`),
+        rarity: getRarityChoices()[this.draft.rarity] ?? this.draft.rarity
+      }));
+    }
+    for (const field of ["attunement", "attuned"]) {
+      if (this.draft[field] === "any") continue;
+      lines.push(game.i18n.localize(`${MODULE_ID}.configDialog.${field}.${this.draft[field]}`));
+    }
+    for (const list of ["allowed", "denied"]) {
+      const labels = ITEM_LIST_KEYS.filter(key => key.startsWith(list))
+        .flatMap(key => this.draft[key].map(value => getItemListEntryLabel(key, value)));
+      if (labels.length) lines.push(game.i18n.format(`${MODULE_ID}.configDialog.summary.${list}Items`, {
+        values: labels.join(", ")
+      }));
+    }
     summary.replaceChildren(...lines.map(line => {
       const paragraph = document.createElement("p");
       paragraph.textContent = line;
@@ -1146,10 +2196,17 @@ class ContainerRulesApp extends ContainerRulesApplication {
   }
 
   _refreshBadges() {
-    const restrictionsCount = this.draft.allowedTypes.length + this.draft.allowedSubtypes.length;
+    const restrictionsCount = this.draft.allowedTypes.length + this.draft.allowedSubtypes.length
+      + normalizeQuotas(this.draft.quotas).length;
     const propertyCount = this.draft.requiredProperties.length + this.draft.forbiddenProperties.length;
+    const itemsCount = ITEM_LIST_KEYS.reduce((total, key) => total + this.draft[key].length, 0);
     const restrictions = this.element.querySelector('[data-nav-badge="restrictions"]');
     const properties = this.element.querySelector('[data-nav-badge="properties"]');
+    const items = this.element.querySelector('[data-nav-badge="items"]');
+    if (items) {
+      items.textContent = itemsCount || "";
+      items.hidden = itemsCount === 0;
+    }
     if (restrictions) {
       restrictions.textContent = restrictionsCount || "";
       restrictions.hidden = restrictionsCount === 0;
@@ -1162,6 +2219,9 @@ class ContainerRulesApp extends ContainerRulesApplication {
   }
 
   _afterDraftChange() {
+    this._refreshFormulaResults();
+    this._refreshPreview();
+    this._refreshPresetStatus();
     this._refreshSummary();
     this._refreshBadges();
     this._refreshDirtyState();
@@ -1288,21 +2348,53 @@ class ContainerRulesApp extends ContainerRulesApplication {
 
     const config = {
       reductionPct: this.draft.reductionPct,
+      reductionMode: this.draft.reductionMode,
+      reductionAmount: this.draft.reductionAmount,
+      reductionCap: this.draft.reductionCap,
+      reductionTiers: this.draft.reductionTiers.map(tier => ({ ...tier })),
+      categoryReductions: this.draft.categoryReductions,
+      reductionFormula: this.draft.reductionFormula,
+      capacityFormula: this.draft.capacityFormula,
+      extradimensional: this.draft.extradimensional,
+      includeNested: this.draft.includeNested,
       allowedTypes: [...this.draft.allowedTypes],
       allowedSubtypes: [...this.draft.allowedSubtypes],
       requiredProperties: [...this.draft.requiredProperties],
       forbiddenProperties: [...this.draft.forbiddenProperties],
-      propertyMatchMode: this.draft.propertyMatchMode
+      propertyMatchMode: this.draft.propertyMatchMode,
+      ...Object.fromEntries(ITEM_LIST_KEYS.map(key => [key, [...this.draft[key]]])),
+      rarityMode: this.draft.rarityMode,
+      rarity: this.draft.rarity,
+      attunement: this.draft.attunement,
+      attuned: this.draft.attuned,
+      maxItemWeight: this.draft.maxItemWeight,
+      maxItemSize: this.draft.maxItemSize,
+      quotas: this.draft.quotas,
+      maxNestingDepth: this.draft.maxNestingDepth,
+      allowContainers: this.draft.allowContainers,
+      allowedContainers: this.draft.allowedContainers,
+      useRuleTree: this.draft.useRuleTree,
+      ruleTree: this.draft.ruleTree,
+      preset: this.draft.preset
     };
 
     try {
       const currentItem = this.containerItem.parent?.items?.get(this.containerItem.id) ?? this.containerItem;
-      await currentItem.update(makeContainerConfigUpdate(config));
+      const update = makeContainerConfigUpdate(config);
+      const resolution = await this._resolveNonconformingContents(currentItem, update);
+      if (!resolution) return;
+      await currentItem.update({ ...update, ...resolution.update });
+      if (resolution.ejections.length) {
+        await currentItem.parent.updateEmbeddedDocuments("Item", resolution.ejections, {
+          [MODULE_ID]: { rehome: true }
+        });
+      }
       const persistedItem = currentItem.parent?.items?.get(currentItem.id) ?? currentItem;
       if (!containerConfigMatches(persistedItem, config)) {
         throw new Error("Container configuration update completed without persisting the requested flags");
       }
       this.containerItem = persistedItem;
+      await this._saveAutoRule(persistedItem, update);
     } catch (error) {
       LOG.error("Failed to save container configuration", {
         container: this.containerItem?.name,
@@ -1322,6 +2414,86 @@ class ContainerRulesApp extends ContainerRulesApplication {
     }));
     await this.close({ force: true });
   }
+
+  async _saveAutoRule(containerItem, update) {
+    const target = this.autoRuleTarget;
+    if (!target) return;
+    if (!this.draft.autoApply) {
+      if (findUserAutoRule(target)) await deleteAutoRule(target);
+      return;
+    }
+    const prefix = `flags.${MODULE_ID}.`;
+    await saveAutoRule({
+      ...target,
+      flags: Object.fromEntries(Object.entries(update)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => [key.slice(prefix.length), value])),
+      capacity: containerItem.toObject?.().system?.capacity ?? null
+    });
+  }
+
+  async _resolveNonconformingContents(currentItem, update) {
+    const actor = currentItem.parent;
+    const grandfatheredKey = `flags.${MODULE_ID}.grandfathered`;
+    if (!actor?.items) return { update: {}, ejections: [] };
+
+    const childIds = new Set(Array.from(actor.items)
+      .filter(item => item.system?.container === currentItem.id)
+      .map(item => item.id));
+    const grandfathered = getGrandfatheredIds(currentItem).filter(id => childIds.has(id));
+    const candidate = foundry.utils.mergeObject(
+      currentItem.toObject(),
+      foundry.utils.expandObject({ ...update, [grandfatheredKey]: grandfathered }),
+      { inplace: false }
+    );
+    candidate.id = currentItem.id;
+
+    const loadOptions = getLoadOptions(actor);
+    const findings = findNonconformingContents(actor, candidate, {
+      ...loadOptions,
+      validate: validateContainerRestrictions,
+      exempt: grandfathered
+    });
+    if (!findings.length) return { update: { [grandfatheredKey]: grandfathered }, ejections: [] };
+
+    const reasonLabel = finding => game.i18n.localize(
+      `${MODULE_ID}.revalidate.reason.${finding.reason}`
+    );
+    const rows = findings.map(finding => `
+      <li><strong>${_escapeHtml(finding.item.name)}</strong> — ${_escapeHtml(reasonLabel(finding))}</li>`).join("");
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize(`${MODULE_ID}.revalidate.title`) },
+      content: `
+        <p>${_escapeHtml(game.i18n.format(`${MODULE_ID}.revalidate.message`, {
+          containerName: currentItem.name,
+          count: findings.length
+        }))}</p>
+        <ul>${rows}</ul>`,
+      buttons: [
+        { action: "eject", label: game.i18n.localize(`${MODULE_ID}.revalidate.eject`), icon: "fas fa-right-from-bracket" },
+        { action: "keep", label: game.i18n.localize(`${MODULE_ID}.revalidate.keep`), icon: "fas fa-lock" },
+        { action: "cancel", label: game.i18n.localize(`${MODULE_ID}.revalidate.cancel`), icon: "fas fa-xmark", default: true }
+      ],
+      rejectClose: false
+    });
+
+    if (choice === "keep") {
+      return {
+        update: { [grandfatheredKey]: [...grandfathered, ...findings.map(finding => finding.item.id)] },
+        ejections: []
+      };
+    }
+    if (choice === "eject") {
+      return {
+        update: { [grandfatheredKey]: grandfathered },
+        ejections: planContentEjection(actor, candidate, findings.map(finding => finding.item), {
+          ...loadOptions,
+          canAccept: (container, item) => validateContainerRestrictions(container, item).ok
+        })
+      };
+    }
+    return null;
+  }
 }
 
 async function openReductionDialog(containerItem) {
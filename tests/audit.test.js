@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { auditActor } from "../scripts/core/audit.js";
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+
+const item = ({ id, type = "loot", container = null, weight = 0, capacity = null }) => ({
+  id,
+  name: id,
+  type,
+  system: {
+    container,
+    weight: { value: weight, units: "lb" },
+    quantity: 1,
+    ...(capacity == null ? {} : { capacity: { weight: { value: capacity, units: "lb" } } })
+  },
+  flags: {}
+});
+
+const actor = items => ({ items: new ItemCollectionView(items) });
+
+test("auditActor reports overflow, rule breakers, dangling links and cycles", () => {
+  const subject = actor([
+    item({ id: "pack", type: "container", capacity: 5 }),
+    item({ id: "anvil", container: "pack", weight: 8 }),
+    item({ id: "potion", type: "consumable", container: "pack" }),
+    item({ id: "lost", container: "gone" }),
+    item({ id: "box", type: "container", container: "crate" }),
+    item({ id: "crate", type: "container", container: "box" })
+  ]);
+  const findings = auditActor(subject, {
+    validate: (container, child) => (
+      child.type === "consumable" ? { ok: false, reason: "type" } : { ok: true }
+    )
+  });
+
+  assert.deepEqual(
+    findings.map(finding => [finding.kind, finding.container?.id ?? finding.item.id]),
+    [
+      ["dangling", "lost"],
+      ["cycle", "box"],
+      ["overflow", "pack"],
+      ["restriction", "pack"]
+    ]
+  );
+  assert.deepEqual(findings[0].fix.updates, [{ _id: "lost", "system.container": null }]);
+  assert.deepEqual(findings[1].items.map(entry => entry.id), ["box", "crate"]);
+  assert.equal(findings[2].measure, "weight");
+  assert.equal(findings[2].load, 8);
+  assert.equal(findings[2].fix, null);
+  assert.equal(findings[3].item.id, "potion");
+});
+
+test("auditActor is quiet for a consistent inventory", () => {
+  const subject = actor([
+    item({ id: "pack", type: "container", capacity: 10 }),
+    item({ id: "rope", container: "pack", weight: 5 })
+  ]);
+  assert.deepEqual(auditActor(subject), []);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_AUTO_RULES,
+  findAutoRule,
+  getAutoRuleTarget,
+  makeAutoRuleChanges,
+  removeAutoRule,
+  upsertAutoRule
+} from "../scripts/core/autorules.js";
+
+const container = ({ name = "Bag of Holding", identifier = "", baseItem = "", source = null, flags = {} } = {}) => ({
+  name,
+  type: "container",
+  system: { identifier, type: { baseItem } },
+  _stats: { compendiumSource: source },
+  flags
+});
+
+test("findAutoRule matches built-in containers by identifier and skips configured ones", () => {
+  const rule = findAutoRule(DEFAULT_AUTO_RULES, container({ identifier: "bag-of-holding" }));
+  assert.deepEqual(makeAutoRuleChanges(rule), {
+    flags: { "weighty-containers": { reductionPct: 100, extradimensional: true } },
+    system: { capacity: { weight: { value: 500, units: "lb" }, volume: { value: 64, units: "cubicFoot" } } }
+  });
+  assert.equal(findAutoRule(DEFAULT_AUTO_RULES, container())?.value, "bag-of-holding");
+  assert.equal(
+    findAutoRule(DEFAULT_AUTO_RULES, container({ flags: { "weighty-containers": { reductionPct: 0 } } })),
+    null
+  );
+  assert.equal(findAutoRule(DEFAULT_AUTO_RULES, { ...container(), type: "loot" }), null);
+});
+
+test("world rules match by source or base item and take precedence over defaults", () => {
+  const source = "Compendium.world.gear.Item.abc";
+  let rules = upsertAutoRule([], { kind: "source", value: source, flags: { reductionPct: 50 } });
+  rules = upsertAutoRule(rules, { kind: "baseItem", value: "Backpack", flags: { reductionPct: 10 } });
+  rules = upsertAutoRule(rules, { kind: "source", value: source, flags: { reductionPct: 75 } });
+  assert.equal(rules.length, 2);
+
+  const fromSource = container({ identifier: "bag-of-holding", source });
+  assert.deepEqual(getAutoRuleTarget(fromSource), { kind: "source", value: source });
+  assert.equal(findAutoRule([...rules, ...DEFAULT_AUTO_RULES], fromSource).flags.reductionPct, 75);
+  assert.equal(findAutoRule(rules, container({ name: "Pack", baseItem: "backpack" })).flags.reductionPct, 10);
+  assert.deepEqual(removeAutoRule(rules, { kind: "source", value: source }).map(rule => rule.kind), ["baseItem"]);
+});
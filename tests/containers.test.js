@@ -2,13 +2,23 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import {
-  ItemCollectionView,
-  collectContainerAncestorIds,
+  countContainerContents,
   computeActorCarriedLbs,
   computeAdjustedLoad,
   createProjectedActor,
-  findCapacityViolations
+  findCapacityViolations,
+  findFittingQuantity,
+  findNonconformingContents,
+  findSpillDestination,
+  planContainerDeletion,
+  planContentEjection,
+  prepareTransferData
 } from "../scripts/core/containers.js";
+import {
+  ItemCollectionView,
+  collectContainerAncestorIds,
+  collectContainerContents
+} from "../scripts/core/inventory.js";
 
 const item = ({
   id,
@@ -18,6 +28,7 @@ const item = ({
   units = "lb",
   quantity = 1,
   capacity = null,
+  count = null,
   reduction = 0
 }) => ({
   id,
@@ -27,9 +38,14 @@ const item = ({
     container,
     weight: { value: weight, units },
     quantity,
-    ...(capacity == null
+    ...(capacity == null && count == null
       ? {}
-      : { capacity: { weight: { value: capacity, units: "lb" } } })
+      : {
+        capacity: {
+          count,
+          weight: { value: capacity, units: "lb" }
+        }
+      })
   },
   flags: { "weighty-containers": { reductionPct: reduction } }
 });
@@ -53,6 +69,98 @@ test("computeAdjustedLoad applies each container's reduction to direct contents"
   assert.equal(computeActorCarriedLbs(subject), 9);
 });
 
+test("each container decides for itself whether nested contents count", () => {
+  const crate = item({ id: "crate", type: "container" });
+  const sack = item({ id: "sack", type: "container", container: "crate", weight: 1 });
+  const pouch = item({ id: "pouch", type: "container", container: "sack", weight: 1 });
+  const gem = item({ id: "gem", container: "pouch", weight: 2 });
+  const withMode = (source, includeNested) => ({
+    ...source,
+    flags: { "weighty-containers": { includeNested } }
+  });
+
+  assert.equal(computeAdjustedLoad(actor([crate, sack, pouch, gem]), "crate", { includeNested: false }).load, 1);
+  const crateYes = actor([withMode(crate, "yes"), sack, pouch, gem]);
+  assert.equal(computeAdjustedLoad(crateYes, "crate", { includeNested: false }).load, 2);
+  const sackYes = actor([withMode(crate, "yes"), withMode(sack, "yes"), pouch, gem]);
+  assert.equal(computeAdjustedLoad(sackYes, "crate", { includeNested: false }).load, 4);
+  const sackNo = actor([crate, withMode(sack, "no"), pouch, gem]);
+  assert.equal(computeAdjustedLoad(sackNo, "crate").load, 2);
+  assert.equal(computeAdjustedLoad(sackNo, "sack").load, 1);
+
+  const memo = new Map();
+  assert.equal(computeAdjustedLoad(sackNo, "crate", { includeNested: false, memo }).load, 1);
+  assert.equal(computeAdjustedLoad(sackNo, "crate", { includeNested: true, memo }).load, 2);
+});
+
+test("coins get their container's reduction and loose coins count on the actor", () => {
+  const bag = {
+    ...item({ id: "bag", type: "container", weight: 15, reduction: 50 }),
+    system: { container: null, weight: { value: 15, units: "lb" }, quantity: 1, currency: { gp: 80, sp: 20 } }
+  };
+  const gem = item({ id: "gem", container: "bag", weight: 2 });
+  const subject = { ...actor([bag, gem]), system: { currency: { cp: 50 } } };
+
+  assert.deepEqual(
+    computeAdjustedLoad(subject, "bag", { coinsPerWeight: 50 }),
+    {
+      load: 2,
+      volume: 0,
+      currency: 1,
+      trace: [
+        { child: "bag", id: "bag", type: "currency", wLbs: 2, reduction: 0.5, added: 1 },
+        { child: "gem", id: "gem", type: "item", wLbs: 2, volumeCuFt: 0, reduction: 0.5, rule: null, added: 1 }
+      ]
+    }
+  );
+  assert.equal(computeAdjustedLoad(subject, "bag").load, 1);
+  assert.equal(computeActorCarriedLbs(subject, { coinsPerWeight: 50 }), 18);
+  assert.equal(computeActorCarriedLbs(subject), 16);
+});
+
+test("non-percentage reductions spread over direct contents and show up in the trace", () => {
+  const wagon = {
+    ...item({ id: "wagon", type: "container" }),
+    flags: { "weighty-containers": { reductionMode: "fixed", reductionAmount: { value: 100, units: "lb" } } }
+  };
+  const crate = item({ id: "crate", type: "container", container: "wagon", weight: 40 });
+  const ore = item({ id: "ore", container: "wagon", weight: 120 });
+  const tools = item({ id: "tools", container: "crate", weight: 10 });
+  const { load, trace } = computeAdjustedLoad(actor([wagon, crate, ore, tools]), "wagon");
+
+  assert.equal(load, 70);
+  assert.deepEqual(trace[0], {
+    child: "wagon",
+    id: "wagon",
+    type: "reduction",
+    mode: "fixed",
+    wLbs: 160,
+    reduction: 0.625,
+    added: 60
+  });
+  assert.deepEqual(trace.filter(entry => entry.added != null).slice(1).map(entry => entry.added), [15, 45]);
+});
+
+test("category reductions override the container default and are named in the trace", () => {
+  const quiver = {
+    ...item({ id: "quiver", type: "container", reduction: 10 }),
+    flags: { "weighty-containers": { reductionPct: 10, categoryReductions: [{ match: "ammo", pct: 100 }] } }
+  };
+  const arrows = {
+    ...item({ id: "arrows", container: "quiver", weight: 1, quantity: 20 }),
+    type: "consumable",
+    system: { container: "quiver", weight: { value: 0.05, units: "lb" }, quantity: 20, type: { value: "ammo" } }
+  };
+  const dagger = item({ id: "dagger", container: "quiver", weight: 1 });
+  const { load, trace } = computeAdjustedLoad(actor([quiver, arrows, dagger]), "quiver");
+
+  assert.equal(load, 0.9);
+  assert.deepEqual(
+    trace.map(entry => [entry.id, entry.rule, entry.added]),
+    [["arrows", { match: "ammo", pct: 100 }, 0], ["dagger", null, 0.9]]
+  );
+});
+
 test("collectContainerAncestorIds returns nearest-to-root order", () => {
   const top = item({ id: "top", type: "container" });
   const nested = item({ id: "nested", type: "container", container: "top" });
@@ -122,6 +230,45 @@ test("reducing capacity below an unchanged load creates a violation", () => {
   assert.equal(violations[0].deltaLbs, 0);
 });
 
+test("capacity and reduction formulas are evaluated for every check", () => {
+  const bag = item({ id: "bag", type: "container", capacity: 50 });
+  bag.flags["weighty-containers"] = { reductionFormula: "@details.level * 10", capacityFormula: "@abilities.str.value" };
+  const current = actor([bag]);
+  const projected = createProjectedActor(current, item({ id: "payload", container: "bag", weight: 20 }));
+  const evaluateFormula = formula => ({ "@details.level * 10": 50, "@abilities.str.value": 8 })[formula];
+
+  const [violation] = findCapacityViolations(current, projected, { evaluateFormula });
+  assert.deepEqual([violation.capacityLbs, violation.afterLbs], [8, 10]);
+  assert.equal(computeAdjustedLoad(projected, "bag").load, 20);
+  assert.deepEqual(findCapacityViolations(current, projected), []);
+});
+
+test("active effects adjust reduction and capacity and are listed in the trace", () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10, reduction: 20 });
+  const current = actor([bag, item({ id: "rock", container: "bag", weight: 10 })]);
+  const projected = createProjectedActor(current, item({ id: "rope", container: "bag", weight: 5 }));
+  const resolveEffects = container => (container.id === "bag" ? [
+    { target: "reduction", name: "Enlarged Packs", source: "actor", mode: 2, value: 30 },
+    { target: "capacity", name: "Enlarged Packs", source: "actor", mode: 1, value: 2 },
+    { target: "capacity", name: "Torn Seam", source: "container", mode: 0, value: 1 }
+  ] : []);
+
+  const { load, trace } = computeAdjustedLoad(projected, "bag", { resolveEffects });
+  assert.equal(load, 7.5);
+  assert.deepEqual(trace[0], {
+    child: "bag",
+    id: "bag",
+    type: "effects",
+    effects: [
+      { target: "reduction", name: "Enlarged Packs", source: "actor", mode: 2, value: 30 },
+      { target: "capacity", name: "Enlarged Packs", source: "actor", mode: 1, value: 2 }
+    ],
+    reduction: 50
+  });
+  assert.deepEqual(findCapacityViolations(current, projected, { resolveEffects }), []);
+  assert.equal(findCapacityViolations(current, projected)[0].capacityLbs, 10);
+});
+
 test("cycles are broken deterministically", () => {
   const first = item({ id: "first", type: "container", container: "second" });
   const second = item({ id: "second", type: "container", container: "first" });
@@ -132,3 +279,263 @@ test("cycles are broken deterministically", () => {
   assert.equal(Number.isFinite(result.load), true);
   assert.deepEqual(cycles, ["first"]);
 });
+
+test("countContainerContents counts quantity or stacks of direct contents", () => {
+  const quiver = item({ id: "quiver", type: "container" });
+  const arrows = item({ id: "arrows", container: "quiver", quantity: 12 });
+  const bolts = item({ id: "bolts", container: "quiver", quantity: 3 });
+  const subject = actor([quiver, arrows, bolts]);
+
+  assert.equal(countContainerContents(subject, "quiver"), 15);
+  assert.equal(countContainerContents(subject, "quiver", { countMode: "stacks" }), 2);
+});
+
+test("adding past an item-count capacity creates a count violation", () => {
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const arrows = item({ id: "arrows", container: "quiver", quantity: 15 });
+  const current = actor([quiver, arrows]);
+  const projected = createProjectedActor(
+    current,
+    item({ id: "arrows", container: "quiver", quantity: 25 })
+  );
+
+  const violations = findCapacityViolations(current, projected);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].type, "count");
+  assert.equal(violations[0].beforeCount, 15);
+  assert.equal(violations[0].afterCount, 25);
+  assert.deepEqual(
+    findCapacityViolations(current, projected, { countMode: "stacks" }),
+    []
+  );
+});
+
+test("quotas cap the matching quantity inside a container", () => {
+  const satchel = {
+    ...item({ id: "satchel", type: "container" }),
+    flags: { "weighty-containers": { quotas: [{ match: "potion", max: 3 }, { match: "spellbook", max: 1 }] } }
+  };
+  const potion = id => ({
+    ...item({ id, type: "consumable", container: "satchel", quantity: 2 }),
+    system: { container: "satchel", quantity: 2, type: { value: "potion" } }
+  });
+  const current = actor([satchel, potion("healing"), item({ id: "rope", container: "satchel", quantity: 10 })]);
+  const projected = createProjectedActor(current, potion("climbing"));
+
+  const violations = findCapacityViolations(current, projected);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].type, "quota");
+  assert.deepEqual(violations[0].quota, { match: "potion", max: 3 });
+  assert.equal(violations[0].beforeCount, 2);
+  assert.equal(violations[0].afterCount, 4);
+  assert.equal(findFittingQuantity(current, potion("climbing")), 1);
+});
+
+test("quotas count matching items inside nested containers", () => {
+  const quiver = {
+    ...item({ id: "quiver", type: "container" }),
+    flags: { "weighty-containers": { quotas: [{ match: "arrows", max: 20 }] } }
+  };
+  const pouch = item({ id: "pouch", type: "container", container: "quiver" });
+  const arrows = (id, container) => item({ id, type: "arrows", container, quantity: 15 });
+  const current = actor([quiver, pouch, arrows("loose", "quiver")]);
+  const projected = createProjectedActor(current, arrows("hidden", "pouch"));
+
+  const violations = findCapacityViolations(current, projected);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].type, "quota");
+  assert.equal(violations[0].afterCount, 30);
+  assert.deepEqual(findCapacityViolations(current, projected, { includeNested: false }), []);
+});
+
+test("volume capacity is checked alongside weight", () => {
+  const chest = {
+    ...item({ id: "chest", type: "container", capacity: 300 }),
+    system: {
+      container: null,
+      quantity: 1,
+      capacity: {
+        weight: { value: 300, units: "lb" },
+        volume: { value: 12, units: "cubicFoot" }
+      }
+    }
+  };
+  const barrel = item({ id: "barrel", container: "chest", weight: 10 });
+  barrel.flags["weighty-containers"].volume = { value: 5, units: "cubicFoot" };
+  const current = actor([chest, barrel]);
+  assert.equal(computeAdjustedLoad(current, "chest").volume, 5);
+
+  const projected = createProjectedActor(current, {
+    ...barrel,
+    system: { ...barrel.system, quantity: 3 }
+  });
+  const violations = findCapacityViolations(current, projected);
+  assert.deepEqual(violations.map(entry => entry.type), ["volume"]);
+  assert.equal(violations[0].afterVolume, 15);
+  assert.equal(violations[0].deltaVolume, 10);
+});
+
+test("findFittingQuantity finds the largest stack the destination chain accepts", () => {
+  const outer = item({ id: "outer", type: "container", capacity: 30 });
+  const quiver = item({ id: "quiver", type: "container", container: "outer", count: 20 });
+  const current = actor([outer, quiver]);
+  const arrows = quantity => item({
+    id: "arrows",
+    container: "quiver",
+    weight: 1,
+    quantity
+  });
+
+  assert.equal(findFittingQuantity(current, arrows(50)), 20);
+  assert.equal(findFittingQuantity(current, arrows(12)), 12);
+
+  const heavy = item({ id: "heavy", container: "quiver", weight: 7, quantity: 10 });
+  assert.equal(findFittingQuantity(current, heavy), 4);
+});
+
+test("findSpillDestination picks the nearest accepting ancestor, then the root", () => {
+  const pack = item({ id: "pack", type: "container", capacity: 50 });
+  const sack = item({ id: "sack", type: "container", container: "pack", capacity: 10 });
+  const pouch = item({ id: "pouch", type: "container", container: "sack", capacity: 1 });
+  const current = actor([pack, sack, pouch]);
+  const payload = weight => item({ id: "payload", container: "pouch", weight });
+
+  assert.equal(findSpillDestination(current, payload(5)).containerId, "sack");
+  assert.equal(findSpillDestination(current, payload(20)).containerId, "pack");
+  assert.equal(findSpillDestination(current, payload(80)).containerId, null);
+  assert.equal(findSpillDestination(current, payload(5), {
+    canAccept: container => container.id !== "sack"
+  }).containerId, "pack");
+});
+
+test("findSpillDestination skips ancestors that break the nesting rules", () => {
+  const pack = item({ id: "pack", type: "container", capacity: 50 });
+  const sack = item({ id: "sack", type: "container", container: "pack", capacity: 10 });
+  sack.flags["weighty-containers"].allowContainers = "none";
+  const pouch = item({ id: "pouch", type: "container", container: "sack", capacity: 1 });
+  const current = actor([pack, sack, pouch]);
+  const box = item({ id: "box", type: "container", container: "pouch", weight: 5 });
+
+  assert.equal(findSpillDestination(current, box).containerId, "pack");
+
+  const portable = item({ id: "portable", type: "container", container: "pouch", weight: 5 });
+  portable.flags["weighty-containers"].extradimensional = true;
+  pack.flags["weighty-containers"].extradimensional = true;
+  assert.equal(findSpillDestination(current, portable).containerId, "pack");
+  assert.equal(findSpillDestination(current, portable, { extradimensional: true }).containerId, null);
+});
+
+test("createProjectedActor projects a whole batch of creations and updates", () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const rope = item({ id: "rope", container: null, weight: 4 });
+  const current = actor([bag, rope]);
+  const projected = createProjectedActor(current, [
+    item({ id: "rope", container: "bag", weight: 4 }),
+    item({ id: null, container: "bag", weight: 4 }),
+    item({ id: null, container: "bag", weight: 4 })
+  ]);
+
+  assert.equal(Array.from(projected.items).length, 4);
+  assert.equal(computeAdjustedLoad(projected, "bag").load, 12);
+  assert.equal(findCapacityViolations(current, projected)[0].afterLbs, 12);
+});
+
+test("collectContainerContents walks nested contents once", () => {
+  const bag = item({ id: "bag", type: "container" });
+  const pouch = item({ id: "pouch", type: "container", container: "bag" });
+  const coin = item({ id: "coin", container: "pouch" });
+  const rope = item({ id: "rope", container: "bag" });
+  const subject = actor([bag, pouch, coin, rope, item({ id: "loose" })]);
+
+  assert.deepEqual(
+    collectContainerContents(subject, "bag").map(entry => entry.id),
+    ["pouch", "rope", "coin"]
+  );
+});
+
+test("prepareTransferData assigns new ids and remaps nested container links", () => {
+  let next = 0;
+  const data = prepareTransferData([
+    { _id: "bag", system: { container: "old-parent" } },
+    { _id: "pouch", system: { container: "bag" } },
+    { _id: "coin", system: { container: "pouch" } }
+  ], { containerId: "chest", generateId: () => `new${++next}` });
+
+  assert.deepEqual(
+    data.map(entry => [entry._id, entry.system.container]),
+    [["new1", "chest"], ["new2", "new1"], ["new3", "new2"]]
+  );
+});
+
+test("planContainerDeletion moves contents to the parent until it is full", () => {
+  const pack = item({ id: "pack", type: "container", capacity: 10 });
+  const sack = item({ id: "sack", type: "container", container: "pack", weight: 1 });
+  const rope = item({ id: "rope", container: "sack", weight: 6 });
+  const anvil = item({ id: "anvil", container: "sack", weight: 5 });
+  const gem = item({ id: "gem", container: "sack", weight: 0 });
+  const subject = actor([pack, sack, rope, anvil, gem]);
+
+  const plan = planContainerDeletion(subject, "sack", {
+    canAccept: (container, child) => child.id !== "gem"
+  });
+  assert.deepEqual(plan.updates, [
+    { _id: "rope", "system.container": "pack" },
+    { _id: "anvil", "system.container": null },
+    { _id: "gem", "system.container": null }
+  ]);
+  assert.deepEqual(
+    plan.displaced.map(entry => [entry.item.id, entry.reason]),
+    [["anvil", "capacity"], ["gem", "restriction"]]
+  );
+});
+
+test("planContainerDeletion supports root, delete and block policies", () => {
+  const sack = item({ id: "sack", type: "container" });
+  const pouch = item({ id: "pouch", type: "container", container: "sack" });
+  const coin = item({ id: "coin", container: "pouch" });
+  const subject = actor([sack, pouch, coin]);
+
+  assert.deepEqual(planContainerDeletion(subject, "sack", { policy: "root" }).updates, [
+    { _id: "pouch", "system.container": null }
+  ]);
+  assert.deepEqual(
+    planContainerDeletion(subject, "sack", { policy: "delete" }).deleteIds,
+    ["pouch", "coin"]
+  );
+  assert.equal(planContainerDeletion(subject, "sack", { policy: "block" }).blocked, true);
+  assert.equal(planContainerDeletion(subject, "coin", { policy: "block" }).blocked, false);
+});
+
+test("findNonconformingContents reports rule breakers and overflow under new rules", () => {
+  const sack = item({ id: "sack", type: "container", capacity: 100 });
+  const rope = item({ id: "rope", container: "sack", weight: 6 });
+  const anvil = item({ id: "anvil", container: "sack", weight: 5 });
+  const potion = item({ id: "potion", type: "consumable", container: "sack", weight: 1 });
+  const subject = actor([sack, rope, anvil, potion]);
+  const tightened = item({ id: "sack", type: "container", capacity: 10 });
+  const validate = (container, child) => ({ ok: child.type !== "consumable" });
+
+  assert.deepEqual(
+    findNonconformingContents(subject, tightened, { validate })
+      .map(entry => [entry.item.id, entry.reason]),
+    [["anvil", "capacity"], ["potion", "restriction"]]
+  );
+  assert.deepEqual(
+    findNonconformingContents(subject, tightened, { validate, exempt: ["anvil"] })
+      .map(entry => [entry.item.id, entry.reason]),
+    [["rope", "capacity"], ["potion", "restriction"]]
+  );
+});
+
+test("planContentEjection sends items to the parent while it has room", () => {
+  const pack = item({ id: "pack", type: "container", capacity: 7 });
+  const sack = item({ id: "sack", type: "container", container: "pack", weight: 1 });
+  const anvil = item({ id: "anvil", container: "sack", weight: 5 });
+  const potion = item({ id: "potion", container: "sack", weight: 2 });
+  const subject = actor([pack, sack, anvil, potion]);
+
+  assert.deepEqual(planContentEjection(subject, sack, [anvil, potion], { includeNested: false }), [
+    { _id: "anvil", "system.container": "pack" },
+    { _id: "potion", "system.container": null }
+  ]);
+});
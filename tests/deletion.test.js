@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+import { registerDeletionHooks } from "../scripts/foundry/deletion.js";
+
+const item = ({ id, type = "loot", container = null }) => ({
+  id,
+  uuid: `Actor.hero.Item.${id}`,
+  name: id,
+  type,
+  system: { container, weight: { value: 1, units: "lb" }, quantity: 1 }
+});
+
+const setup = items => {
+  const hooks = {};
+  let next = 0;
+  globalThis.Hooks = { on(name, handler) { hooks[name] = handler; } };
+  globalThis.game = {
+    user: { id: "user" },
+    settings: { get: () => "root" },
+    i18n: { format: key => key }
+  };
+  globalThis.ui = { notifications: { info() {}, warn() {} } };
+  globalThis.foundry = { utils: { randomID: () => `op${++next}` } };
+
+  const actor = {
+    name: "Hero",
+    items: new ItemCollectionView(items),
+    updates: [],
+    async updateEmbeddedDocuments(type, updates) {
+      actor.updates.push(...updates);
+      return updates;
+    }
+  };
+  for (const entry of items) entry.parent = actor;
+
+  registerDeletionHooks({
+    logger: { info() {}, error() {} },
+    enforcement: {
+      getLoadOptions: () => ({}),
+      checkRestrictions: () => ({ ok: true })
+    }
+  });
+  return { hooks, actor };
+};
+
+test("deleting a container re-homes its contents after the deletion", async () => {
+  const bag = item({ id: "bag", type: "container" });
+  const rope = item({ id: "rope", container: "bag" });
+  const { hooks, actor } = setup([bag, rope]);
+
+  const options = {};
+  assert.equal(hooks.preDeleteItem(bag, options), undefined);
+  await hooks.deleteItem(bag, structuredClone(options), "user");
+
+  assert.deepEqual(actor.updates, [{ _id: "rope", "system.container": null }]);
+});
+
+test("a plan from a blocked deletion is not applied to a later deletion", async () => {
+  const bag = item({ id: "bag", type: "container" });
+  const rope = item({ id: "rope", container: "bag" });
+  const { hooks, actor } = setup([bag, rope]);
+
+  hooks.preDeleteItem(bag, {});
+  rope.system.container = null;
+  await hooks.deleteItem(bag, {}, "user");
+
+  assert.deepEqual(actor.updates, []);
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { effectTouchesContainers, makeEffectResolver } from "../scripts/foundry/effects.js";
+
+const effect = (key, value, { transfer = false } = {}) => ({
+  name: key,
+  transfer,
+  active: true,
+  changes: [{ key, value, mode: 1, priority: null }]
+});
+
+const container = (name, identifier, effects = []) => ({
+  name,
+  type: "container",
+  system: { identifier },
+  effects
+});
+
+test("unscoped actor effects reach every container the actor carries", () => {
+  globalThis.CONFIG = { DND5E: {} };
+  const resolve = makeEffectResolver({
+    appliedEffects: [effect("flags.weighty-containers.containerCapacity", "2")]
+  });
+
+  for (const item of [container("Backpack", "backpack"), container("Pouch", "pouch")]) {
+    assert.deepEqual(resolve(item).map(change => [change.target, change.value, change.source]),
+      [["capacity", 2, "actor"]]);
+  }
+});
+
+test("a selector after the effect key limits an actor effect to matching containers", () => {
+  globalThis.CONFIG = { DND5E: {} };
+  const scoped = effect("flags.weighty-containers.containerCapacity.Backpack", "2", { transfer: true });
+  const resolve = makeEffectResolver({ appliedEffects: [scoped] });
+
+  assert.equal(effectTouchesContainers(scoped), true);
+  assert.deepEqual(resolve(container("Backpack", "backpack")).map(change => change.value), [2]);
+  assert.deepEqual(resolve(container("Pouch", "pouch")), []);
+});
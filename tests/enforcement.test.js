@@ -1,7 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { ItemCollectionView } from "../scripts/core/containers.js";
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+import { registerAutoRules } from "../scripts/foundry/autorules.js";
 import { registerEnforcementHooks } from "../scripts/foundry/enforcement.js";
 
 const item = ({
@@ -10,7 +11,9 @@ const item = ({
   container = null,
   weight = 0,
   units = "lb",
-  capacity = null
+  quantity = 1,
+  capacity = null,
+  count = null
 }) => ({
   id,
   name: id,
@@ -18,12 +21,24 @@ const item = ({
   system: {
     container,
     weight: { value: weight, units },
-    quantity: 1,
-    ...(capacity == null
+    quantity,
+    ...(capacity == null && count == null
       ? {}
-      : { capacity: { weight: { value: capacity, units: "lb" } } })
+      : {
+        capacity: {
+          count,
+          weight: { value: capacity, units: "lb" }
+        }
+      })
   },
   flags: {},
+  updateSource(changes) {
+    Object.assign(this, merge({ system: this.system, flags: this.flags }, expandObject(changes)));
+  },
+  async update(changes) {
+    this.updates = [...(this.updates ?? []), changes];
+    return this;
+  },
   toObject() {
     return structuredClone({
       id: this.id,
@@ -66,17 +81,22 @@ const merge = (left, right) => {
   return result;
 };
 
-const setup = items => {
+const setup = (items, settings = {}) => {
   const hooks = {};
   const socketCalls = [];
   globalThis.Hooks = {
     on(name, handler) { hooks[name] = handler; }
   };
-  globalThis.CONFIG = { DND5E: {} };
+  class ItemDocument {
+    static async _preCreateOperation() {}
+    static async _preUpdateOperation() {}
+  }
+  globalThis.CONFIG = { DND5E: {}, Item: { documentClass: ItemDocument } };
   globalThis.game = {
     settings: {
       get(module, key) {
         if (module === "dnd5e" && key === "metricWeightUnits") return false;
+        if (Object.hasOwn(settings, key)) return settings[key];
         if (key === "includeNested") return true;
         if (key === "enforceMode") return "block";
         if (key === "exceedMessageText") return "";
@@ -91,25 +111,40 @@ const setup = items => {
     utils: {
       deepClone: structuredClone,
       expandObject,
-      mergeObject: merge
+      mergeObject: merge,
+      setProperty(target, path, value) {
+        const keys = path.split(".");
+        while (keys.length > 1) {
+          const key = keys.shift();
+          target[key] ??= {};
+          target = target[key];
+        }
+        target[keys[0]] = value;
+      }
     }
   };
+  const created = [];
   const actor = {
     name: "Actor",
-    items: new ItemCollectionView(items)
+    items: new ItemCollectionView(items),
+    async createEmbeddedDocuments(type, data) {
+      created.push(...data);
+      return data;
+    }
   };
   for (const entry of actor.items) entry.parent = actor;
 
-  registerEnforcementHooks({
+  const enforcement = registerEnforcementHooks({
     logger: {
       info() {},
-      warn() {}
+      warn() {},
+      error() {}
     },
     socket: {
       executeForEveryone(...args) { socketCalls.push(args); }
     }
   });
-  return { actor, hooks, socketCalls };
+  return { actor, created, enforcement, hooks, ItemDocument, socketCalls };
 };
 
 test("preUpdateItem blocks a flattened weight-unit change that exceeds capacity", () => {
@@ -150,3 +185,304 @@ test("preCreateItem blocks an overflowing ancestor container", () => {
   assert.equal(socketCalls.length, 1);
   assert.equal(socketCalls[0][1].containerName, "outer");
 });
+
+test("preUpdateItem blocks a quantity change that exceeds an item-count capacity", () => {
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const arrows = item({ id: "arrows", container: "quiver", quantity: 18 });
+  const { hooks, socketCalls } = setup([quiver, arrows], { countMode: "quantity" });
+
+  assert.equal(hooks.preUpdateItem(arrows, { "system.quantity": 22 }), false);
+  assert.equal(socketCalls[0][1].type, "count");
+  assert.equal(socketCalls[0][1].msg, "weighty-containers.exceedMessage.count");
+});
+
+test("preUpdateItem blocks coins that overfill a container when currency has weight", () => {
+  const purse = item({ id: "purse", type: "container", capacity: 2 });
+  purse.system.currency = { gp: 50 };
+  const { hooks, socketCalls } = setup([purse], { currencyWeight: true });
+
+  assert.equal(hooks.preUpdateItem(purse, { "system.currency.gp": 90 }), undefined);
+  assert.equal(hooks.preUpdateItem(purse, { "system.currency.gp": 150 }), false);
+  assert.equal(socketCalls[0][1].containerName, "purse");
+
+  const weightless = setup([purse], { currencyWeight: false });
+  assert.equal(weightless.hooks.preUpdateItem(purse, { "system.currency.gp": 150 }), undefined);
+});
+
+test("partial mode creates only the fitting part of a stack and leaves the rest at the root", async () => {
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const { actor, created, hooks, socketCalls } = setup([quiver], { enforceMode: "partial" });
+  const arrows = item({ id: "arrows", container: "quiver", quantity: 50 });
+  arrows.parent = actor;
+
+  assert.equal(hooks.preCreateItem(arrows, {}), false);
+  await new Promise(resolve => setTimeout(resolve));
+  assert.deepEqual(
+    created.map(data => [data.system.quantity, data.system.container]),
+    [[20, "quiver"], [30, null]]
+  );
+  assert.equal(socketCalls[0][1].msg, "weighty-containers.partialMessage.default");
+});
+
+test("partial mode blocks a new stack when none of it fits", async () => {
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const held = item({ id: "held", container: "quiver", quantity: 20 });
+  const { actor, created, hooks, socketCalls } = setup([quiver, held], {
+    enforceMode: "partial",
+    countMode: "quantity"
+  });
+  const arrows = item({ id: "arrows", container: "quiver", quantity: 5 });
+  arrows.parent = actor;
+
+  assert.equal(hooks.preCreateItem(arrows, {}), false);
+  await new Promise(resolve => setTimeout(resolve));
+  assert.equal(arrows.system.container, "quiver");
+  assert.equal(created.length, 0);
+  assert.equal(socketCalls[0][1].msg, "weighty-containers.exceedMessage.count");
+});
+
+test("partial mode splits a moved stack and keeps the remainder in its source container", async () => {
+  const pouch = item({ id: "pouch", type: "container" });
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const held = item({ id: "held", container: "quiver", quantity: 5 });
+  const arrows = item({ id: "arrows", container: "pouch", quantity: 40 });
+  const { created, hooks } = setup([pouch, quiver, held, arrows], { enforceMode: "partial" });
+  const changes = { "system.container": "quiver" };
+
+  assert.equal(hooks.preUpdateItem(arrows, changes), false);
+  await new Promise(resolve => setTimeout(resolve));
+  assert.deepEqual(arrows.updates, [{ "system.container": "quiver", "system.quantity": 15 }]);
+  assert.equal(created[0].system.quantity, 25);
+  assert.equal(created[0].system.container, "pouch");
+});
+
+test("partial mode creates no remainder when the fitted update does not go through", async () => {
+  const pouch = item({ id: "pouch", type: "container" });
+  const quiver = item({ id: "quiver", type: "container", count: 20 });
+  const arrows = item({ id: "arrows", container: "pouch", quantity: 40 });
+  arrows.update = async () => undefined;
+  const { created, hooks } = setup([pouch, quiver, arrows], { enforceMode: "partial" });
+
+  assert.equal(hooks.preUpdateItem(arrows, { "system.container": "quiver" }), false);
+  await new Promise(resolve => setTimeout(resolve));
+  assert.equal(created.length, 0);
+});
+
+test("spill mode redirects an overflowing item to the parent container", () => {
+  const pack = item({ id: "pack", type: "container", capacity: 50 });
+  const pouch = item({ id: "pouch", type: "container", container: "pack", capacity: 2 });
+  const { actor, hooks, socketCalls } = setup([pack, pouch], { enforceMode: "spill" });
+  const payload = item({ id: "payload", container: "pouch", weight: 5 });
+  payload.parent = actor;
+
+  assert.equal(hooks.preCreateItem(payload, {}), undefined);
+  assert.equal(payload.system.container, "pack");
+  assert.equal(socketCalls[0][1].msg, "weighty-containers.spillMessage.default");
+});
+
+test("per-item batches see earlier creations from the same operation", () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const { actor, hooks } = setup([bag]);
+  const payloads = ["a", "b", "c"].map(id => {
+    const payload = item({ id, container: "bag", weight: 4 });
+    payload.parent = actor;
+    return payload;
+  });
+  const operation = { data: payloads.map(payload => payload.toObject()) };
+
+  assert.deepEqual(
+    payloads.map(payload => hooks.preCreateItem(payload, {}, operation)),
+    [undefined, undefined, false]
+  );
+});
+
+test("created items are checked with the capacity their auto-rule set, not the raw data", () => {
+  const { actor, hooks } = setup([], {
+    autoRules: [{ kind: "identifier", value: "chest", capacity: { weight: { value: 500, units: "lb" } } }],
+    useDefaultAutoRules: false
+  });
+  let applyAutoRule;
+  globalThis.Hooks = { on(name, handler) { applyAutoRule = handler; } };
+  registerAutoRules({ logger: { info() {} } });
+
+  const rock = item({ id: "rock", container: "chest", weight: 20 });
+  const chest = { ...item({ id: "chest", type: "container", capacity: 5 }), name: "Chest" };
+  for (const payload of [rock, chest]) payload.parent = actor;
+  const operation = { data: [rock.toObject(), chest.toObject()] };
+  applyAutoRule(chest);
+
+  assert.equal(chest.system.capacity.weight.value, 500);
+  assert.equal(hooks.preCreateItem(rock, operation.data[0], operation), undefined);
+  assert.equal(hooks.preCreateItem(chest, operation.data[1], operation), undefined);
+});
+
+test("per-item batches count every earlier creation that has no id yet", () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const { actor, hooks } = setup([bag]);
+  const payloads = [1, 2, 3].map(() => {
+    const payload = item({ id: null, container: "bag", weight: 4 });
+    payload.parent = actor;
+    return payload;
+  });
+  const operation = { data: payloads.map(payload => payload.toObject()) };
+
+  assert.deepEqual(
+    payloads.map(payload => hooks.preCreateItem(payload, {}, operation)),
+    [undefined, undefined, false]
+  );
+});
+
+test("partial mode fits a stack around earlier creations that have no id yet", async () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const { actor, created, hooks } = setup([bag], { enforceMode: "partial" });
+  const payloads = [
+    item({ id: null, container: "bag", weight: 4 }),
+    item({ id: null, container: "bag", weight: 4 }),
+    item({ id: null, container: "bag", weight: 1, quantity: 5 })
+  ];
+  for (const payload of payloads) payload.parent = actor;
+  const operation = { data: payloads.map(payload => payload.toObject()) };
+
+  assert.deepEqual(
+    payloads.map(payload => hooks.preCreateItem(payload, {}, operation)),
+    [undefined, undefined, false]
+  );
+  await new Promise(resolve => setTimeout(resolve));
+  assert.deepEqual(created.map(data => data.system.quantity), [2, 3]);
+});
+
+test("all-or-nothing batches reject the whole operation when the batch overflows", async () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const { actor, hooks, ItemDocument, socketCalls } = setup([bag], { batchMode: "all" });
+  const payloads = [null, null, null].map(id => {
+    const payload = item({ id, container: "bag", weight: 4 });
+    payload.parent = actor;
+    return payload;
+  });
+  const operation = { parent: actor, data: payloads.map(payload => payload.toObject()) };
+
+  assert.deepEqual(
+    payloads.map(payload => hooks.preCreateItem(payload, {}, operation)),
+    [undefined, undefined, undefined]
+  );
+  assert.equal(await ItemDocument._preCreateOperation(payloads, operation), false);
+  assert.equal(socketCalls.length, 1);
+});
+
+test("all-or-nothing batches check the prepared documents, not the raw creation data", async () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const { actor, hooks, ItemDocument, socketCalls } = setup([bag], { batchMode: "all" });
+  const payloads = [null, null, null].map(id => {
+    const payload = item({ id, container: "bag", weight: 4 });
+    payload.parent = actor;
+    return payload;
+  });
+  const operation = { parent: actor, data: payloads.map(payload => payload.toObject()) };
+
+  for (const payload of payloads) hooks.preCreateItem(payload, {}, operation);
+  payloads[2].updateSource({ "system.container": null });
+  assert.equal(await ItemDocument._preCreateOperation(payloads, operation), undefined);
+  assert.equal(socketCalls.length, 0);
+});
+
+test("all-or-nothing batches still spill each item in spill mode", async () => {
+  const pack = item({ id: "pack", type: "container", capacity: 50 });
+  const pouch = item({ id: "pouch", type: "container", container: "pack", capacity: 10 });
+  const { actor, hooks, ItemDocument } = setup([pack, pouch], {
+    batchMode: "all",
+    enforceMode: "spill"
+  });
+  const payloads = [null, null, null].map(id => {
+    const payload = item({ id, container: "pouch", weight: 4 });
+    payload.parent = actor;
+    return payload;
+  });
+  const operation = { parent: actor, data: payloads.map(payload => payload.toObject()) };
+
+  assert.deepEqual(
+    payloads.map(payload => hooks.preCreateItem(payload, {}, operation)),
+    [undefined, undefined, undefined]
+  );
+  assert.deepEqual(payloads.map(payload => payload.system.container), ["pouch", "pouch", "pack"]);
+  assert.equal(await ItemDocument._preCreateOperation(payloads, operation), undefined);
+});
+
+test("all-or-nothing batches reject a multi-item update as one", async () => {
+  const bag = item({ id: "bag", type: "container", capacity: 10 });
+  const rope = item({ id: "rope", weight: 6 });
+  const lamp = item({ id: "lamp", weight: 6 });
+  const { actor, hooks, ItemDocument } = setup([bag, rope, lamp], { batchMode: "all" });
+  const operation = {
+    parent: actor,
+    updates: [
+      { _id: "rope", "system.container": "bag" },
+      { _id: "lamp", "system.container": "bag" }
+    ]
+  };
+
+  assert.equal(hooks.preUpdateItem(rope, operation.updates[0], operation), undefined);
+  assert.equal(hooks.preUpdateItem(lamp, operation.updates[1], operation), undefined);
+  assert.equal(await ItemDocument._preUpdateOperation([rope, lamp], operation), false);
+});
+
+test("batch checks reject extradimensional pairs before anything is created", () => {
+  const holding = item({ id: "holding", type: "container" });
+  holding.flags = { "weighty-containers": { extradimensional: true } };
+  const haversack = item({ id: "haversack", type: "container", container: "holding" });
+  haversack.flags = { "weighty-containers": { extradimensional: true } };
+  const candidates = [haversack.toObject()];
+
+  const blocking = setup([holding], { extradimensionalMode: "block" });
+  const check = blocking.enforcement.checkItemBatch(blocking.actor, candidates);
+  assert.deepEqual([check.ok, check.nesting.type, check.nesting.container.id, check.nesting.item.id],
+    [false, "extradimensional", "holding", "haversack"]);
+  blocking.enforcement.reportCheckFailure(blocking.actor, check);
+  assert.equal(blocking.socketCalls[0][1].msg, "weighty-containers.extradimensional.blocked");
+
+  assert.equal(blocking.enforcement.allowsCheckFailure(check), false);
+
+  const warning = setup([holding], { extradimensionalMode: "warn" });
+  assert.equal(
+    warning.enforcement.allowsCheckFailure(warning.enforcement.checkItemBatch(warning.actor, candidates)),
+    true
+  );
+
+  const rifting = setup([holding], { extradimensionalMode: "rift" });
+  assert.equal(rifting.enforcement.checkItemBatch(rifting.actor, candidates).ok, true);
+});
+
+test("extradimensional nesting follows its own mode rather than the enforcement mode", () => {
+  const holding = item({ id: "holding", type: "container" });
+  holding.flags = { "weighty-containers": { extradimensional: true } };
+  const makeHaversack = actor => {
+    const haversack = item({ id: "haversack", type: "container", container: "holding" });
+    haversack.flags = { "weighty-containers": { extradimensional: true } };
+    haversack.parent = actor;
+    return haversack;
+  };
+
+  const blocking = setup([holding], { extradimensionalMode: "block", enforceMode: "warn" });
+  assert.equal(blocking.hooks.preCreateItem(makeHaversack(blocking.actor), {}), false);
+  assert.equal(blocking.socketCalls[0][1].msg, "weighty-containers.extradimensional.blocked");
+
+  const warning = setup([holding], { extradimensionalMode: "warn", enforceMode: "block" });
+  assert.equal(warning.hooks.preCreateItem(makeHaversack(warning.actor), {}), undefined);
+  assert.equal(warning.socketCalls[0][1].msg, "weighty-containers.extradimensional.warn");
+
+  const rifting = setup([holding], { extradimensionalMode: "rift", enforceMode: "block" });
+  assert.equal(rifting.hooks.preCreateItem(makeHaversack(rifting.actor), {}), undefined);
+  assert.equal(rifting.socketCalls.length, 0);
+});
+
+test("restriction failures explain rarity and attunement mismatches", () => {
+  const lockbox = item({ id: "lockbox", type: "container" });
+  lockbox.flags = { "weighty-containers": { rarityMode: "atMost", rarity: "common" } };
+  const { actor, hooks, socketCalls } = setup([lockbox]);
+  globalThis.game.i18n.localize = key => key;
+  const wand = item({ id: "wand", container: "lockbox" });
+  wand.system.rarity = "rare";
+  wand.parent = actor;
+
+  assert.equal(hooks.preCreateItem(wand, {}), false);
+  assert.equal(socketCalls[0][1].msg, "weighty-containers.restrictionMessage.withReason");
+});
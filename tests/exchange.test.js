@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  RULES_DOCUMENT_VERSION,
+  makeRulesDocument,
+  makeRulesEntry,
+  makeRulesUpdate,
+  parseRulesDocument,
+  planRulesImport
+} from "../scripts/core/exchange.js";
+
+const container = (id, flags = {}, identifier = "") => ({
+  id,
+  name: id,
+  type: "container",
+  system: { identifier },
+  flags: { "weighty-containers": flags }
+});
+
+test("exported rules round-trip through parseRulesDocument", () => {
+  const quiver = container("quiver", {
+    reductionPct: 25,
+    allowedSubtypes: ["Ammo"],
+    quotas: [{ match: "ammo", max: 20 }],
+    grandfathered: ["arrow"]
+  }, "quiver");
+  const document = makeRulesDocument([makeRulesEntry(quiver, { id: "a1", name: "Hero" })], {
+    scope: "actor",
+    exportedAt: "2026-01-01T00:00:00.000Z"
+  });
+  assert.equal(document.version, RULES_DOCUMENT_VERSION);
+
+  const [entry] = parseRulesDocument(JSON.stringify(document)).containers;
+  assert.deepEqual(entry.warnings, []);
+  assert.equal(entry.rules.reductionPct, 25);
+  assert.deepEqual(entry.rules.allowedSubtypes, ["ammo"]);
+  assert.deepEqual(entry.rules.quotas, [{ match: "ammo", max: 20 }]);
+  assert.equal(Object.hasOwn(entry.rules, "grandfathered"), false);
+  assert.equal(makeRulesUpdate(entry.rules)["flags.weighty-containers.reductionPct"], 25);
+});
+
+test("parseRulesDocument rejects foreign documents and sanitizes bad fields", () => {
+  assert.throws(() => parseRulesDocument("{"), /not valid JSON/);
+  assert.throws(() => parseRulesDocument({ module: "other", version: 1, containers: [] }), /not a weighty-containers/);
+  assert.throws(
+    () => parseRulesDocument({ module: "weighty-containers", version: RULES_DOCUMENT_VERSION + 1, containers: [] }),
+    /Unsupported/
+  );
+
+  const [entry, broken] = parseRulesDocument({
+    module: "weighty-containers",
+    version: 1,
+    containers: [
+      { name: "Bag", rules: { reductionPct: 250, attunement: "sometimes", allowedTypes: "loot; tool", color: "red" } },
+      { name: "Broken", rules: "nope" }
+    ]
+  }).containers;
+  assert.equal(entry.rules.reductionPct, 100);
+  assert.equal(entry.rules.attunement, "any");
+  assert.deepEqual(entry.rules.allowedTypes, ["loot", "tool"]);
+  assert.deepEqual(entry.warnings, ["color", "attunement"]);
+  assert.equal(broken.rules, null);
+});
+
+test("planRulesImport matches by actor and id, then source or identifier", () => {
+  const hero = { id: "a1", name: "Hero" };
+  const other = { id: "a2", name: "Other" };
+  const document = parseRulesDocument({
+    module: "weighty-containers",
+    version: 1,
+    containers: [
+      { id: "old", name: "Quiver", identifier: "quiver", actor: { id: "a9", name: "Hero" }, rules: { reductionPct: 10 } },
+      { id: "bag", name: "Bag", actor: { id: "a1", name: "Hero" }, rules: { reductionPct: 50 } },
+      { id: "gone", name: "Gone", rules: { reductionPct: 5 } }
+    ]
+  });
+  const targets = [
+    { actor: other, container: container("q2", {}, "quiver") },
+    { actor: hero, container: container("q1", {}, "quiver") },
+    { actor: hero, container: container("bag") }
+  ];
+  const { plan, skipped } = planRulesImport(document, targets);
+  assert.deepEqual(plan.map(step => [step.actor.id, step.container.id, step.entry.name]), [
+    ["a1", "q1", "Quiver"],
+    ["a1", "bag", "Bag"]
+  ]);
+  assert.deepEqual(skipped.map(entry => entry.name), ["Gone"]);
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createProjectedActor } from "../scripts/core/containers.js";
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+import {
+  findExtradimensionalPairs,
+  findNewExtradimensionalPairs,
+  planRift
+} from "../scripts/core/hazard.js";
+
+const item = ({ id, type = "loot", container = null, extradimensional = false }) => ({
+  id,
+  name: id,
+  type,
+  system: { container, quantity: 1, weight: { value: 1, units: "lb" } },
+  flags: { "weighty-containers": { extradimensional } }
+});
+
+const actor = items => ({ items: new ItemCollectionView(items) });
+
+const inventory = () => [
+  item({ id: "pack", type: "container" }),
+  item({ id: "hole", type: "container", container: "pack", extradimensional: true }),
+  item({ id: "rope", container: "hole" }),
+  item({ id: "sack", type: "container", container: "hole" }),
+  item({ id: "bag", type: "container", extradimensional: true }),
+  item({ id: "gem", container: "bag" })
+];
+
+test("nesting is detected anywhere in the ancestor chain, including through a plain container", () => {
+  const current = actor(inventory());
+  assert.deepEqual(findExtradimensionalPairs(current), []);
+
+  const projected = createProjectedActor(current, item({
+    id: "bag",
+    type: "container",
+    container: "sack",
+    extradimensional: true
+  }));
+  const pairs = findNewExtradimensionalPairs(current, projected);
+  assert.deepEqual(pairs.map(pair => [pair.inner.id, pair.outer.id]), [["bag", "hole"]]);
+  assert.deepEqual(findNewExtradimensionalPairs(projected, projected), []);
+});
+
+test("planRift spills both containers or loses their contents to the Astral Plane", () => {
+  const items = inventory();
+  items[4] = item({ id: "bag", type: "container", container: "sack", extradimensional: true });
+  const nested = actor(items);
+  const [pair] = findExtradimensionalPairs(nested);
+
+  assert.deepEqual(planRift(nested, pair, { policy: "parent" }), {
+    updates: [
+      { _id: "gem", "system.container": "pack" },
+      { _id: "rope", "system.container": "pack" },
+      { _id: "sack", "system.container": "pack" }
+    ],
+    deleteIds: []
+  });
+  assert.equal(planRift(nested, pair, { policy: "root" }).updates[0]["system.container"], null);
+  assert.deepEqual(planRift(nested, pair, { policy: "astral" }), {
+    updates: [{ _id: "sack", "system.container": "pack" }],
+    deleteIds: ["rope", "gem"]
+  });
+});
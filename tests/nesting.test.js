@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createProjectedActor } from "../scripts/core/containers.js";
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+import { findNestingViolations, getNestingDepth } from "../scripts/core/nesting.js";
+
+const item = ({ id, type = "loot", container = null, identifier = "", flags = {} }) => ({
+  id,
+  name: id,
+  type,
+  system: { container, identifier, quantity: 1, weight: { value: 1, units: "lb" } },
+  flags: { "weighty-containers": flags }
+});
+
+const actor = items => ({ items: new ItemCollectionView(items) });
+
+const inventory = () => [
+  item({ id: "pack", type: "container" }),
+  item({ id: "sack", type: "container", container: "pack" }),
+  item({ id: "rope", container: "sack" }),
+  item({ id: "pouch", type: "container", identifier: "pouch" }),
+  item({ id: "chest", type: "container", identifier: "chest" })
+];
+
+test("depth limits only reject moves that make nesting deeper", () => {
+  const current = actor(inventory());
+  assert.equal(getNestingDepth(current, "pack"), 1);
+  assert.deepEqual(findNestingViolations(current, current, { maxNestingDepth: 1 }), []);
+
+  const projected = createProjectedActor(current, item({
+    id: "pouch",
+    type: "container",
+    container: "sack",
+    identifier: "pouch"
+  }));
+  const [violation] = findNestingViolations(current, projected, { maxNestingDepth: 1 });
+  assert.deepEqual(
+    [violation.type, violation.container.id, violation.depth, violation.maxNestingDepth],
+    ["depth", "pack", 2, 1]
+  );
+  assert.deepEqual(findNestingViolations(current, projected, { maxNestingDepth: 0 }), []);
+  assert.deepEqual(findNestingViolations(projected, projected, { maxNestingDepth: 1 }), []);
+});
+
+test("containers may refuse other containers or accept only listed ones", () => {
+  const items = inventory();
+  items[0] = item({ id: "pack", type: "container", flags: { allowContainers: "listed", allowedContainers: "pouch" } });
+  const current = actor(items);
+
+  const pouch = createProjectedActor(current, item({ id: "pouch", type: "container", container: "pack", identifier: "pouch" }));
+  assert.deepEqual(findNestingViolations(current, pouch), []);
+
+  const chest = createProjectedActor(current, item({ id: "chest", type: "container", container: "pack", identifier: "chest" }));
+  assert.deepEqual(
+    findNestingViolations(current, chest).map(violation => [violation.type, violation.container.id, violation.item.id]),
+    [["containerKind", "pack", "chest"]]
+  );
+
+  items[0] = item({ id: "pack", type: "container", flags: { allowContainers: "none", maxNestingDepth: 0 } });
+  const sealed = actor(items);
+  assert.deepEqual(findNestingViolations(sealed, sealed), []);
+  const moved = createProjectedActor(sealed, item({ id: "pouch", type: "container", container: "pack", identifier: "pouch" }));
+  assert.deepEqual(findNestingViolations(sealed, moved).map(violation => violation.type), ["containerKind"]);
+});
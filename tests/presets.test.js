@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  findPresetByName,
+  getDriftedSections,
+  normalizePresets,
+  removePreset,
+  upsertPreset
+} from "../scripts/core/presets.js";
+
+const quiver = { reductionPct: 0, allowedSubtypes: ["ammo"], quotas: [{ match: "ammo", max: 20 }], ruleTree: null };
+
+test("upsertPreset adds new presets and overwrites by name", () => {
+  let nextId = 0;
+  const makeId = () => `p${++nextId}`;
+  const first = upsertPreset({}, { name: " Quiver ", config: quiver }, makeId);
+  assert.equal(first.id, "p1");
+  assert.deepEqual(first.presets, { p1: { name: "Quiver", config: quiver } });
+
+  const updated = upsertPreset(first.presets, { name: "quiver", config: { ...quiver, reductionPct: 10 } }, makeId);
+  assert.equal(updated.id, "p1");
+  assert.equal(updated.presets.p1.config.reductionPct, 10);
+  assert.equal(findPresetByName(updated.presets, "QUIVER").id, "p1");
+
+  assert.equal(upsertPreset(updated.presets, { name: "  ", config: quiver }, makeId).id, null);
+  assert.deepEqual(removePreset(updated.presets, "p1"), {});
+  assert.deepEqual(normalizePresets({ broken: { name: "" }, p1: updated.presets.p1 }), { p1: updated.presets.p1 });
+});
+
+test("getDriftedSections names the dialog sections that differ from a preset", () => {
+  assert.deepEqual(getDriftedSections(quiver, { ...quiver }), []);
+  assert.deepEqual(
+    getDriftedSections(quiver, {
+      ...quiver,
+      reductionPct: 50,
+      quotas: [{ match: "ammo", max: 40 }],
+      deniedNames: ["Cursed*"]
+    }),
+    ["basic", "restrictions", "items"]
+  );
+});
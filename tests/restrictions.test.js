@@ -2,9 +2,12 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import {
-  parseTokenList,
+  describeRuleTree,
+  flatRestrictionsToRuleTree,
+  getContainerRestrictions,
   validateContainerRestrictions
 } from "../scripts/core/restrictions.js";
+import { parseTokenList } from "../scripts/core/tokens.js";
 
 const moduleFlags = rules => ({
   flags: { "weighty-containers": rules }
@@ -53,3 +56,150 @@ test("validateContainerRestrictions matches subtype aliases", () => {
     weaponTypeMap: { martialM: "martial" }
   }).ok, true);
 });
+
+test("validateContainerRestrictions lets grandfathered items stay", () => {
+  const container = moduleFlags({ allowedTypes: ["weapon"], grandfathered: ["old-potion"] });
+  assert.equal(validateContainerRestrictions(container, { id: "old-potion", type: "consumable" }).ok, true);
+  assert.equal(validateContainerRestrictions(container, { id: "new-potion", type: "consumable" }).ok, false);
+});
+
+test("rule trees combine groups with and, or and not", () => {
+  const container = moduleFlags({
+    ruleTree: {
+      op: "or",
+      rules: [
+        { kind: "subtype", match: "any", values: ["ammo"] },
+        {
+          op: "and",
+          rules: [
+            { kind: "type", match: "any", values: ["consumable"] },
+            { kind: "subtype", match: "any", values: ["scroll"] },
+            { op: "not", rules: [{ kind: "property", values: ["mgc"] }] }
+          ]
+        }
+      ]
+    }
+  });
+  const consumable = (subtype, properties = []) => ({
+    type: "consumable",
+    system: { type: { value: subtype }, properties }
+  });
+
+  assert.equal(validateContainerRestrictions(container, consumable("ammo")).ok, true);
+  assert.equal(validateContainerRestrictions(container, consumable("scroll")).ok, true);
+  assert.deepEqual(
+    [validateContainerRestrictions(container, consumable("scroll", ["mgc"])).ok,
+      validateContainerRestrictions(container, consumable("potion")).reason],
+    [false, "rules"]
+  );
+  assert.equal(
+    describeRuleTree(getContainerRestrictions(container).ruleTree),
+    "subtype any [ammo] OR (type any [consumable] AND subtype any [scroll] AND NOT (property any [mgc]))"
+  );
+});
+
+test("flat restrictions convert to an equivalent rule tree", () => {
+  const flags = {
+    allowedTypes: ["weapon"],
+    requiredProperties: ["mgc", "thr"],
+    propertyMatchMode: "any",
+    forbiddenProperties: ["two"]
+  };
+  const tree = flatRestrictionsToRuleTree(getContainerRestrictions(moduleFlags(flags)));
+  assert.deepEqual(tree, {
+    op: "and",
+    rules: [
+      { kind: "type", match: "any", values: ["weapon"] },
+      { kind: "property", match: "any", values: ["mgc", "thr"] },
+      { kind: "property", match: "none", values: ["two"] }
+    ]
+  });
+
+  const items = [
+    { type: "weapon", system: { properties: ["thr"] } },
+    { type: "weapon", system: { properties: ["thr", "two"] } },
+    { type: "weapon", system: { properties: [] } },
+    { type: "loot", system: { properties: ["mgc"] } }
+  ];
+  for (const itemData of items) {
+    const flat = validateContainerRestrictions(moduleFlags(flags), itemData);
+    const nested = validateContainerRestrictions(moduleFlags({ ruleTree: tree }), itemData);
+    assert.deepEqual([nested.ok, nested.reason], [flat.ok, flat.reason]);
+  }
+});
+
+test("allow and deny lists match identifiers, name patterns and source uuids", () => {
+  const kas = {
+    name: "Sword of Kas",
+    type: "weapon",
+    _stats: { compendiumSource: "Compendium.world.artifacts.Item.kas" }
+  };
+  const arrows = { name: "Arrows", type: "consumable", system: { identifier: "arrow" } };
+  const bolts = { name: "Crossbow Bolts", type: "consumable" };
+  const quiver = moduleFlags({
+    allowedIdentifiers: ["Arrow"],
+    allowedNames: ["*bolts"]
+  });
+  assert.equal(validateContainerRestrictions(quiver, arrows).ok, true);
+  assert.equal(validateContainerRestrictions(quiver, bolts).ok, true);
+  assert.equal(validateContainerRestrictions(quiver, kas).reason, "notListed");
+
+  const chest = moduleFlags({
+    allowedTypes: ["weapon"],
+    deniedSources: ["Compendium.world.artifacts.Item.kas"]
+  });
+  assert.equal(validateContainerRestrictions(chest, kas).reason, "denied");
+  assert.equal(validateContainerRestrictions(chest, { name: "Longsword", type: "weapon" }).ok, true);
+  assert.equal(
+    validateContainerRestrictions(moduleFlags({ deniedIdentifiers: ["sword-of-kas"] }), kas).reason,
+    "denied"
+  );
+});
+
+test("validateContainerRestrictions checks rarity bounds and attunement", () => {
+  const merchantCrate = moduleFlags({ rarityMode: "atMost", rarity: "common" });
+  assert.equal(validateContainerRestrictions(merchantCrate, { system: { rarity: "" } }).ok, true);
+  assert.deepEqual(
+    (({ ok, reason, itemValue }) => ({ ok, reason, itemValue }))(
+      validateContainerRestrictions(merchantCrate, { system: { rarity: "veryRare" } })
+    ),
+    { ok: false, reason: "rarity", itemValue: "veryrare" }
+  );
+
+  const vault = moduleFlags({ rarityMode: "atLeast", rarity: "rare", attuned: "notAttuned" });
+  assert.equal(validateContainerRestrictions(vault, { system: { rarity: "uncommon" } }).ok, false);
+  assert.equal(validateContainerRestrictions(vault, { system: { rarity: "legendary" } }).ok, true);
+  assert.equal(
+    validateContainerRestrictions(vault, { system: { rarity: "artifact", attuned: true } }).reason,
+    "attuned"
+  );
+
+  const lockbox = moduleFlags({ attunement: "forbidden" });
+  assert.equal(
+    validateContainerRestrictions(lockbox, { system: { attunement: "required" } }).reason,
+    "attunement"
+  );
+  assert.equal(validateContainerRestrictions(lockbox, { system: { attunement: "optional" } }).ok, true);
+});
+
+test("validateContainerRestrictions limits single-item weight and size", () => {
+  const pouch = moduleFlags({ maxItemWeight: { value: 2, units: "lb" }, maxItemSize: "sm" });
+  const warhammer = { system: { weight: { value: 5, units: "lb" }, quantity: 1 } };
+  const coins = { system: { weight: { value: 0.02, units: "lb" }, quantity: 50 } };
+  const greatsword = {
+    system: { weight: { value: 1, units: "lb" } },
+    flags: { "weighty-containers": { size: "lg" } }
+  };
+
+  const heavy = validateContainerRestrictions(pouch, warhammer);
+  assert.deepEqual([heavy.ok, heavy.reason, heavy.itemValue], [false, "itemWeight", 5]);
+  assert.equal(validateContainerRestrictions(pouch, coins).ok, true);
+  assert.deepEqual(
+    (({ reason, itemValue }) => [reason, itemValue])(validateContainerRestrictions(pouch, greatsword)),
+    ["itemSize", "lg"]
+  );
+  assert.equal(
+    validateContainerRestrictions(moduleFlags({ maxItemWeight: { value: 1, units: "kg" } }), warhammer).ok,
+    false
+  );
+});
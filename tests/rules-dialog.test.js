@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+
+const getPath = (target, path) => path.split(".").reduce((value, key) => value?.[key], target);
+
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  while (keys.length > 1) {
+    const key = keys.shift();
+    target[key] ??= {};
+    target = target[key];
+  }
+  target[keys[0]] = value;
+};
+
+const expandObject = source => {
+  const expanded = {};
+  for (const [path, value] of Object.entries(source)) setPath(expanded, path, value);
+  return expanded;
+};
+
+const mergeObject = (left, right) => {
+  const result = structuredClone(left);
+  const apply = (target, source) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        target[key] ??= {};
+        apply(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+  };
+  apply(result, right);
+  return result;
+};
+
+test("saving the rules dialog keeps the formulas typed into it", async () => {
+  const hooks = {};
+  const apps = [];
+  class ApplicationV2 extends EventTarget {
+    constructor(options) {
+      super();
+      this.options = options;
+      apps.push(this);
+    }
+    async render() {
+      this.rendered = true;
+      return this;
+    }
+    async close() {
+      this.rendered = false;
+    }
+  }
+
+  globalThis.CONFIG = { DND5E: {}, Item: { dataModels: {}, typeLabels: {} }, Actor: {} };
+  globalThis.Hooks = {
+    once(name, handler) { hooks[name] = handler; },
+    on(name, handler) { hooks[name] = handler; }
+  };
+  globalThis.game = {
+    user: { isGM: true },
+    socket: { on() {} },
+    settings: {
+      get(module, key) {
+        if (key === "autoRules") return [];
+        if (key === "includeNested") return true;
+        return module === "dnd5e" ? false : undefined;
+      },
+      register() {},
+      registerMenu() {}
+    },
+    i18n: { lang: "en", localize: key => key, format: key => key },
+    system: { documentTypes: { Item: [] } }
+  };
+  globalThis.ui = { notifications: { info() {}, warn() {}, error() {} } };
+  globalThis.foundry = {
+    utils: { deepClone: structuredClone, escapeHTML: String, expandObject, mergeObject },
+    applications: {
+      api: { ApplicationV2, HandlebarsApplicationMixin: Base => Base, DialogV2: {} }
+    }
+  };
+  globalThis.Actor = class Actor {};
+  globalThis.Item = class Item {
+    constructor(data) {
+      Object.assign(this, structuredClone(data));
+    }
+    toObject() {
+      return structuredClone({ id: this.id, name: this.name, type: this.type, system: this.system, flags: this.flags });
+    }
+    async update(changes) {
+      for (const [path, value] of Object.entries(changes)) setPath(this, path, value);
+    }
+  };
+
+  const bag = new Item({
+    id: "bag",
+    name: "Haversack",
+    type: "container",
+    system: { container: null, weight: { value: 5, units: "lb" }, quantity: 1 },
+    flags: {}
+  });
+  bag.parent = { items: new ItemCollectionView([bag]), getRollData: () => ({ details: { level: 5 } }) };
+
+  await import("../scripts/main.js?dialog");
+  hooks.ready();
+
+  let openDialog = null;
+  const header = {
+    querySelector: () => null,
+    appendChild() {}
+  };
+  globalThis.document = {
+    createElement: () => ({
+      addEventListener(type, handler) { openDialog = handler; }
+    })
+  };
+  globalThis.HTMLElement = EventTarget;
+  hooks.renderItemSheet({ document: bag }, Object.assign(new EventTarget(), {
+    querySelector: selector => (selector.includes("sheet-header") ? header : null)
+  }));
+  openDialog({ preventDefault() {}, stopPropagation() {} });
+  await new Promise(resolve => setTimeout(resolve));
+
+  const app = apps.at(-1);
+  app.element = { querySelector: () => null, querySelectorAll: () => [] };
+  app.draft.reductionFormula = "@details.level * 5";
+  app.draft.capacityFormula = "@abilities.str.value * 5";
+  await app._save();
+
+  assert.equal(getPath(bag, "flags.weighty-containers.reductionFormula"), "@details.level * 5");
+  assert.equal(getPath(bag, "flags.weighty-containers.capacityFormula"), "@abilities.str.value * 5");
+});
@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ItemCollectionView } from "../scripts/core/inventory.js";
+import { registerTransferHooks } from "../scripts/foundry/transfer.js";
+
+const item = ({ id, type = "loot", container = null, weight = 0 }) => ({
+  id,
+  name: id,
+  type,
+  system: { container, weight: { value: weight, units: "lb" }, quantity: 1 },
+  flags: {},
+  toObject() {
+    return structuredClone({
+      _id: this.id,
+      name: this.name,
+      type: this.type,
+      system: this.system,
+      flags: this.flags
+    });
+  }
+});
+
+const makeActor = (name, items, { failDelete = false } = {}) => {
+  const actor = {
+    name,
+    isOwner: true,
+    items: new ItemCollectionView(items),
+    calls: [],
+    async createEmbeddedDocuments(type, data, operation) {
+      actor.calls.push(["create", data.map(entry => entry._id), operation]);
+      const created = data.map(entry => ({ ...entry, id: entry._id }));
+      actor.items = new ItemCollectionView([...actor.items, ...created]);
+      return created;
+    },
+    async deleteEmbeddedDocuments(type, ids, operation) {
+      actor.calls.push(["delete", ids, operation]);
+      if (failDelete) throw new Error("delete failed");
+      actor.items = new ItemCollectionView(
+        Array.from(actor.items).filter(entry => !ids.includes(entry.id))
+      );
+      return ids;
+    }
+  };
+  for (const entry of items) entry.parent = actor;
+  return actor;
+};
+
+const setup = ({ check = { ok: true } } = {}) => {
+  const notifications = [];
+  let next = 0;
+  const wrappers = {};
+  globalThis.libWrapper = { register(module, target, handler) { wrappers[target] = handler; } };
+  globalThis.game = {
+    settings: { get: (module, key) => (key === "transferMode" ? "move" : "block") },
+    i18n: { format: key => key }
+  };
+  globalThis.ui = {
+    notifications: {
+      warn: msg => notifications.push(msg),
+      error: msg => notifications.push(msg)
+    }
+  };
+  globalThis.foundry = { utils: { randomID: () => `new${++next}` } };
+  const reported = [];
+  const { transferItem } = registerTransferHooks({
+    logger: { info() {}, error() {} },
+    enforcement: {
+      allowsCheckFailure: () => false,
+      checkItemBatch: (actor, candidates) => ({ ...check, candidates }),
+      reportCheckFailure: (actor, failure) => reported.push(failure)
+    }
+  });
+  return { notifications, reported, transferItem, wrappers };
+};
+
+test("transferItem moves a container with its contents as one unit", async () => {
+  const { transferItem } = setup();
+  const bag = item({ id: "bag", type: "container" });
+  const rope = item({ id: "rope", container: "bag" });
+  const source = makeActor("Source", [bag, rope]);
+  const target = makeActor("Target", [item({ id: "chest", type: "container" })]);
+
+  const created = await transferItem(bag, target, { containerId: "chest" });
+  assert.deepEqual(
+    created.map(entry => [entry._id, entry.system.container]),
+    [["new1", "chest"], ["new2", "new1"]]
+  );
+  assert.deepEqual(source.calls, [[
+    "delete",
+    ["bag", "rope"],
+    { keepId: true, "weighty-containers": { transfer: true } }
+  ]]);
+});
+
+test("transferItem creates nothing when the target check fails", async () => {
+  const { reported, transferItem } = setup({ check: { ok: false, violation: {} } });
+  const bag = item({ id: "bag", type: "container" });
+  const source = makeActor("Source", [bag]);
+  const target = makeActor("Target", []);
+
+  assert.equal(await transferItem(bag, target), null);
+  assert.equal(reported.length, 1);
+  assert.deepEqual(target.calls, []);
+  assert.deepEqual(source.calls, []);
+});
+
+test("transferItem rolls back the target when the source delete fails", async () => {
+  const { notifications, transferItem } = setup();
+  const rope = item({ id: "rope" });
+  const source = makeActor("Source", [rope], { failDelete: true });
+  const target = makeActor("Target", []);
+
+  assert.equal(await transferItem(rope, target), null);
+  assert.deepEqual(target.calls.map(([action, ids]) => [action, ids]), [
+    ["create", ["new1"]],
+    ["delete", ["new1"]]
+  ]);
+  assert.equal(Array.from(target.items).length, 0);
+  assert.deepEqual(notifications, ["weighty-containers.transfer.failed"]);
+  assert.equal(source.items.get("rope"), rope);
+});
+
+test("dropping onto a container row transfers the item into that container", async () => {
+  const { wrappers } = setup();
+  const onDropItem = wrappers["dnd5e.applications.actor.BaseActorSheet.prototype._onDropItem"];
+  const rope = item({ id: "rope" });
+  const source = makeActor("Source", [rope]);
+  const chest = item({ id: "chest", type: "container" });
+  const coin = item({ id: "coin", container: "chest" });
+  const target = makeActor("Target", [chest, coin]);
+  globalThis.Item = Object;
+  globalThis.Actor = Object;
+  const sheet = { actor: target };
+  const dropOn = itemId => onDropItem.call(sheet, () => "system drop", {
+    target: { closest: () => (itemId ? { dataset: { itemId } } : null) }
+  }, rope);
+
+  await dropOn("chest");
+  assert.equal(target.items.get("new1").system.container, "chest");
+
+  source.items = new ItemCollectionView([rope]);
+  await dropOn("coin");
+  assert.equal(target.items.get("new2").system.container, "chest");
+
+  source.items = new ItemCollectionView([rope]);
+  await dropOn(null);
+  assert.equal(target.items.get("new3").system.container, null);
+
+  rope.parent = target;
+  assert.equal(await dropOn("chest"), "system drop");
+});
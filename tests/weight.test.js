@@ -2,9 +2,17 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import {
+  applyEffectChanges,
+  applyReduction,
+  convertVolumeToCubicFeet,
   convertWeightToLbs,
+  getCapacityCount,
   getCapacityLbs,
+  getCapacityVolume,
+  getReductionConfig,
   getReductionPct,
+  hasWeightReduction,
+  ownVolumeCuFt,
   ownWeightLbs
 } from "../scripts/core/weight.js";
 
@@ -30,6 +38,35 @@ test("getReductionPct clamps invalid flag values", () => {
   assert.equal(getReductionPct({ flags: { "weighty-containers": { reductionPct: "bad" } } }), 0);
 });
 
+test("reduction modes subtract a fixed amount, cap a percentage or follow tiers", () => {
+  const config = flags => getReductionConfig({ flags: { "weighty-containers": flags } });
+
+  const fixed = config({ reductionMode: "fixed", reductionAmount: { value: 100, units: "lb" } });
+  assert.equal(applyReduction(60, fixed), 0);
+  assert.equal(applyReduction(130, fixed), 30);
+
+  const capped = config({ reductionMode: "capped", reductionPct: 50, reductionCap: { value: 25, units: "kg" } });
+  assert.equal(capped.capLbs, 55.1155);
+  assert.equal(applyReduction(40, capped), 20);
+  assert.equal(applyReduction(200, capped), 144.8845);
+
+  const tiered = config({
+    reductionMode: "tiered",
+    reductionTiers: [{ upTo: 200, units: "lb", pct: 50 }, { upTo: 100, units: "lb", pct: 100 }]
+  });
+  assert.equal(applyReduction(80, tiered), 0);
+  assert.equal(applyReduction(150, tiered), 25);
+  assert.equal(applyReduction(260, tiered), 110);
+  assert.equal(applyReduction(50, config({ reductionMode: "unknown", reductionPct: 20 })), 40);
+});
+
+test("category reductions count as weight reduction without a container default", () => {
+  const quiver = categoryReductions => ({ flags: { "weighty-containers": { reductionPct: 0, categoryReductions } } });
+  assert.equal(hasWeightReduction(quiver([{ match: "ammo", pct: 100 }])), true);
+  assert.equal(hasWeightReduction(quiver([{ match: "ammo", pct: 0 }])), false);
+  assert.equal(hasWeightReduction(quiver([])), false);
+});
+
 test("getCapacityLbs reads dnd5e and legacy capacity shapes", () => {
   assert.equal(getCapacityLbs({
     system: { capacity: { weight: { value: 5, units: "kg" } } }
@@ -39,3 +76,81 @@ test("getCapacityLbs reads dnd5e and legacy capacity shapes", () => {
   }), 12);
   assert.equal(getCapacityLbs({ system: { capacity: 7 } }), 7);
 });
+
+test("formula flags replace reduction and capacity when they evaluate", () => {
+  const results = { "@details.level * 5": 45, "@abilities.str.value * 5": 80, "1d4": null };
+  const evaluateFormula = formula => results[formula];
+  const container = flags => ({
+    system: { capacity: { weight: { value: 30, units: "lb" } } },
+    flags: { "weighty-containers": { reductionPct: 20, ...flags } }
+  });
+
+  const scaled = container({ reductionFormula: "@details.level * 5", capacityFormula: "@abilities.str.value * 5" });
+  assert.equal(getReductionPct(scaled, { evaluateFormula }), 45);
+  assert.equal(getReductionConfig(scaled, "lb", { evaluateFormula }).pct, 45);
+  assert.equal(getCapacityLbs(scaled, "kg", { evaluateFormula }), 176.3696);
+  assert.equal(getReductionPct(scaled), 20);
+  assert.equal(getCapacityLbs(scaled), 30);
+
+  const rolled = container({ reductionFormula: "1d4", capacityFormula: "1d4" });
+  assert.equal(getReductionPct(rolled, { evaluateFormula }), 20);
+  assert.equal(getCapacityLbs(rolled, "lb", { evaluateFormula }), 30);
+  assert.equal(getReductionPct(container({ reductionFormula: "@details.level * 5" }), {
+    evaluateFormula: () => 400
+  }), 100);
+});
+
+test("effect changes follow Foundry's modes in priority order", () => {
+  const change = (mode, value, priority) => ({ target: "reduction", mode, value, priority: priority ?? mode * 10 });
+  assert.equal(applyEffectChanges(20, [change(2, 10), change(1, 2)]), 50);
+  assert.equal(applyEffectChanges(20, [change(2, 10, 1), change(1, 2, 0)]), 50);
+  assert.equal(applyEffectChanges(20, [change(1, 2, 5), change(2, 10, 1)]), 60);
+  assert.equal(applyEffectChanges(20, [change(4, 15), change(3, 60)]), 20);
+  assert.equal(applyEffectChanges(20, [change(5, 75), change(2, 5)]), 75);
+
+  const container = {
+    system: { capacity: { weight: { value: 10, units: "kg" } } },
+    flags: { "weighty-containers": { reductionPct: 90 } }
+  };
+  const resolveEffects = () => [
+    { target: "reduction", mode: 2, value: "25" },
+    { target: "capacity", mode: 2, value: 5 },
+    { target: "capacity", mode: 2, value: "bad" }
+  ];
+  assert.equal(getReductionPct(container, { resolveEffects }), 100);
+  assert.equal(getCapacityLbs(container, "kg", { resolveEffects }), 33.0693);
+  assert.equal(getCapacityLbs({ system: {} }, "lb", { resolveEffects }), null);
+
+  const invalid = () => [
+    { target: "reduction", mode: 5, value: null },
+    { target: "capacity", mode: 5, value: null },
+    { target: "capacity", mode: 5, value: "" }
+  ];
+  assert.equal(getReductionPct(container, { resolveEffects: invalid }), 90);
+  assert.equal(getCapacityLbs(container, "kg", { resolveEffects: invalid }), 22.0462);
+});
+
+test("getCapacityCount reads dnd5e count and legacy item capacity", () => {
+  assert.equal(getCapacityCount({
+    system: { capacity: { count: 20, weight: { value: 0 } } }
+  }), 20);
+  assert.equal(getCapacityCount({ system: { capacity: { count: null } } }), null);
+  const legacy = { system: { capacity: { type: "items", value: 12 } } };
+  assert.equal(getCapacityCount(legacy), 12);
+  assert.equal(getCapacityLbs(legacy), null);
+});
+
+test("volume helpers convert units and prefer the module volume flag", () => {
+  assert.equal(convertVolumeToCubicFeet(2, "cubicFoot"), 2);
+  assert.equal(convertVolumeToCubicFeet(10, "liter"), 0.353147);
+  assert.equal(convertVolumeToCubicFeet(1728, "cubicInch"), 1);
+  assert.equal(ownVolumeCuFt({
+    flags: { "weighty-containers": { volume: { value: 0.5, units: "cubicFoot" } } },
+    system: { volume: { value: 9 }, quantity: 4 }
+  }), 2);
+  assert.equal(ownVolumeCuFt({ system: { volume: 3, quantity: 2 } }), 6);
+  assert.equal(getCapacityVolume({
+    system: { capacity: { volume: { value: 10, units: "liter" } } }
+  }), 0.353147);
+  assert.equal(getCapacityVolume({ system: { capacity: { volume: { value: 0 } } } }), null);
+});